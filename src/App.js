@@ -1,30 +1,172 @@
-import React, { useState, useEffect, useContext, createContext } from 'react';
+import React, { useState, useEffect, useContext, useRef, useCallback, useMemo, createContext } from 'react';
 import axios from 'axios';
-import { BrowserRouter as Router, Routes, Route, Link, useParams, useNavigate } from 'react-router-dom';
-import styled, { ThemeProvider } from 'styled-components';
+import { BrowserRouter as Router, Routes, Route, Link, Navigate, useHref, useParams, useNavigate, useLocation, useSearchParams } from 'react-router-dom';
+import styled, { ThemeProvider, createGlobalStyle, useTheme } from 'styled-components';
 import { PuffLoader } from 'react-spinners';
-import { FaMoon, FaSun, FaHeart, FaRegHeart, FaPlay, FaStar, FaTimes, FaArrowLeft } from 'react-icons/fa';
+import {
+  FaMoon, FaSun, FaHeart, FaRegHeart, FaPlay, FaStar, FaStarHalfAlt, FaRegStar, FaTimes, FaArrowLeft, FaArrowRight,
+  FaBookmark, FaRegBookmark, FaCheckCircle, FaRegCheckCircle, FaFolderPlus, FaEdit, FaTrash, FaBalanceScale
+} from 'react-icons/fa';
 import backgroundImage from './assets/BG.jpg';
+import movieFixtures from './fixtures/movies.json';
+import enMessages from './locales/en.json';
+import esMessages from './locales/es.json';
+import arMessages from './locales/ar.json';
+import heMessages from './locales/he.json';
 
 // Themes
+// Every colour the UI uses comes from the active palette, so components never hard-code one.
+// `on*` colours are for text and icons drawn on top of the matching fill.
 const lightTheme = {
+  name: 'light',
   body: '#ffffff',
   text: '#121212',
+  mutedText: '#6b6b6b',
   navbar: '#1a1a1a',
+  navbarText: '#ffffff',
   cardBg: '#ffffff',
   cardText: '#121212',
+  cardShadow: '0 2px 8px rgba(0, 0, 0, 0.1)',
   inputBg: '#f5f5f5',
+  inputText: '#121212',
+  border: '#dddddd',
+  popoverBg: '#ffffff',
+  popoverText: '#121212',
+  popoverShadow: '0 2px 8px rgba(0, 0, 0, 0.2)',
+  highlight: '#e8f5e9',
+  primary: '#4CAF50',
+  primaryHover: '#45a049',
+  onPrimary: '#ffffff',
+  secondary: '#2196F3',
+  onSecondary: '#ffffff',
+  danger: '#f44336',
+  onDanger: '#ffffff',
+  neutral: '#888888',
+  onNeutral: '#ffffff',
+  trailer: '#FF0000',
+  onTrailer: '#ffffff',
+  chipBg: '#4CAF50',
+  chipText: '#ffffff',
+  chipBorder: '#4CAF50',
+  link: '#1976D2',
+  focusRing: '#2196F3',
+  success: '#4CAF50',
+  warning: '#FF9800',
+  star: '#FFD700',
+  favorite: '#e53935',
+  spinner: '#36d7b7',
+  overlay: 'rgba(0, 0, 0, 0.8)',
+  modalBg: 'rgba(0, 0, 0, 0.7)',
+  playerBg: '#141414',
+  modalText: '#ffffff',
+  modalMutedText: '#bbbbbb',
+  modalLink: '#64b5f6',
+  modalError: '#ff6b6b',
+  notice: '#FFD700'
 };
 
 const darkTheme = {
+  ...lightTheme,
+  name: 'dark',
   body: '#121212',
   text: '#ffffff',
+  mutedText: '#a0a0a0',
   navbar: '#000000',
   cardBg: '#1a1a1a',
   cardText: '#ffffff',
+  cardShadow: '0 2px 8px rgba(0, 0, 0, 0.6)',
   inputBg: '#2a2a2a',
+  inputText: '#ffffff',
+  border: '#3a3a3a',
+  popoverBg: '#1f1f1f',
+  popoverText: '#ffffff',
+  popoverShadow: '0 2px 8px rgba(0, 0, 0, 0.6)',
+  highlight: '#1b3a1d',
+  link: '#64b5f6',
+  focusRing: '#64b5f6'
 };
 
+// Pure black and white with bright accents; fills take black text, and every control has a
+// visible outline
+const highContrastTheme = {
+  ...darkTheme,
+  name: 'high-contrast',
+  body: '#000000',
+  text: '#ffffff',
+  mutedText: '#ffffff',
+  navbar: '#000000',
+  cardBg: '#000000',
+  cardText: '#ffffff',
+  cardShadow: '0 0 0 2px #ffffff',
+  inputBg: '#000000',
+  border: '#ffffff',
+  popoverBg: '#000000',
+  popoverShadow: '0 0 0 2px #ffffff',
+  highlight: '#333333',
+  primary: '#ffff00',
+  primaryHover: '#ffff66',
+  onPrimary: '#000000',
+  secondary: '#00ffff',
+  onSecondary: '#000000',
+  danger: '#ff8080',
+  onDanger: '#000000',
+  neutral: '#ffffff',
+  onNeutral: '#000000',
+  trailer: '#ff8080',
+  onTrailer: '#000000',
+  chipBg: '#ffff00',
+  chipText: '#000000',
+  chipBorder: '#ffffff',
+  link: '#ffff00',
+  focusRing: '#00ffff',
+  success: '#80ff80',
+  warning: '#ffb000',
+  star: '#ffff00',
+  favorite: '#ff8080',
+  spinner: '#ffff00',
+  overlay: 'rgba(0, 0, 0, 0.9)',
+  modalBg: '#000000',
+  playerBg: '#000000',
+  modalMutedText: '#ffffff',
+  modalLink: '#ffff00',
+  modalError: '#ff8080',
+  notice: '#ffff00'
+};
+
+const THEMES = { light: lightTheme, dark: darkTheme, 'high-contrast': highContrastTheme };
+
+// What users pick from; "system" follows the OS light/dark setting as it changes.
+// Their labels are the "themes.<value>" messages.
+const THEME_PREFERENCES = [
+  { value: 'system' },
+  { value: 'light' },
+  { value: 'dark' },
+  { value: 'high-contrast' }
+];
+
+// Page-wide rules styled-components can't attach to a single component: the page background,
+// form controls, links and the keyboard focus ring
+const GlobalStyle = createGlobalStyle`
+  body {
+    background-color: ${props => props.theme.body};
+    color: ${props => props.theme.text};
+  }
+
+  input, select, textarea {
+    background-color: ${props => props.theme.inputBg};
+    color: ${props => props.theme.inputText};
+  }
+
+  a {
+    color: ${props => props.theme.link};
+  }
+
+  :focus-visible {
+    outline: 3px solid ${props => props.theme.focusRing};
+    outline-offset: 2px;
+  }
+`;
+
 // Styled Components
 const AppContainer = styled.div`
   background-color: ${props => props.theme.body};
@@ -38,7 +180,7 @@ const Navbar = styled.nav`
   align-items: center;
   padding: 1rem 2rem;
   background-color: ${props => props.theme.navbar};
-  color: white;
+  color: ${props => props.theme.navbarText};
   position: relative;
   z-index: 100;
 `;
@@ -53,7 +195,7 @@ const MovieGrid = styled.div`
 const MovieCard = styled.div`
   border-radius: 8px;
   overflow: hidden;
-  box-shadow: 0 2px 8px rgba(0, 0, 0, 0.1);
+  box-shadow: ${props => props.theme.cardShadow};
   transition: transform 0.2s;
   cursor: pointer;
   background-color: ${props => props.theme.cardBg};
@@ -71,13 +213,23 @@ const MovieDetailContainer = styled.div`
   min-height: 100vh;
 `;
 
-const AuthModalOverlay = styled.div`
+// Headings for the sections of a page, one level below its <h1> but drawn at the sizes the
+// detail page always used for them (h3 and h4)
+const SectionHeading = styled.h2`
+  font-size: 1.17em;
+`;
+
+const SubHeading = styled.h3`
+  font-size: 1em;
+`;
+
+const ModalOverlay = styled.div`
   position: fixed;
   top: 0;
   left: 0;
   right: 0;
   bottom: 0;
-  background-color: rgba(0, 0, 0, 0.8);
+  background-color: ${props => props.theme.overlay};
   display: flex;
   justify-content: center;
   align-items: center;
@@ -85,16 +237,28 @@ const AuthModalOverlay = styled.div`
 `;
 
 const AuthModalContent = styled.div`
-  background-color: rgba(0, 0, 0, 0.7);
+  background-color: ${props => props.theme.modalBg};
   padding: 2rem;
   border-radius: 8px;
   width: 400px;
   max-width: 90%;
   position: relative;
-  color: white;
+  color: ${props => props.theme.modalText};
   backdrop-filter: blur(5px);
 `;
 
+const VideoModalContent = styled.div`
+  background-color: ${props => props.theme.playerBg};
+  color: ${props => props.theme.modalText};
+  padding: 1.5rem;
+  border-radius: 8px;
+  width: 960px;
+  max-width: 95%;
+  max-height: 90vh;
+  overflow-y: auto;
+  position: relative;
+`;
+
 const AuthForm = styled.form`
   display: flex;
   flex-direction: column;
@@ -104,23 +268,24 @@ const AuthForm = styled.form`
 
 const AuthInput = styled.input`
   padding: 0.8rem;
-  border: 1px solid #ddd;
+  border: 1px solid ${props => props.theme.border};
   border-radius: 4px;
   font-size: 1rem;
   background-color: ${props => props.theme.inputBg};
+  color: ${props => props.theme.inputText};
 `;
 
 const AuthSubmitButton = styled.button`
   padding: 0.8rem;
-  background-color: #4CAF50;
-  color: white;
+  background-color: ${props => props.theme.primary};
+  color: ${props => props.theme.onPrimary};
   border: none;
   border-radius: 4px;
   cursor: pointer;
   font-size: 1rem;
   
   &:hover {
-    background-color: #45a049;
+    background-color: ${props => props.theme.primaryHover};
   }
 `;
 
@@ -149,571 +314,5703 @@ const WelcomeContainer = styled.div`
   }
 `;
 
-// Contexts
-const AuthContext = createContext();
-const MovieContext = createContext();
-const ThemeContext = createContext();
+// Read by screen readers but not drawn
+const VisuallyHidden = styled.span`
+  position: absolute;
+  width: 1px;
+  height: 1px;
+  padding: 0;
+  margin: -1px;
+  overflow: hidden;
+  clip: rect(0, 0, 0, 0);
+  white-space: nowrap;
+  border: 0;
+`;
 
-// Providers
-function ThemeProviderWrapper({ children }) {
-  const [theme, setTheme] = useState('light');
-  
-  const toggleTheme = () => {
-    setTheme(prevTheme => prevTheme === 'light' ? 'dark' : 'light');
+// Helpers
+// Appends a new page of results, skipping movies that already appeared on an earlier page
+const mergeUniqueMovies = (existing, incoming) => {
+  const seen = new Set(existing.map(movie => movie.id));
+  const unique = incoming.filter(movie => {
+    if (seen.has(movie.id)) return false;
+    seen.add(movie.id);
+    return true;
+  });
+  return [...existing, ...unique];
+};
+
+// Markdown for personal notes, rendered as React elements (never raw HTML). Supports the small
+// subset people actually type in a note: # headings, - / 1. lists, paragraphs, **bold**,
+// *italic*, `code` and [links](https://...).
+const INLINE_MARKDOWN = /(\*\*[^*]+\*\*|\*[^*]+\*|`[^`]+`|\[[^\]]+\]\([^)\s]+\))/g;
+
+const renderInlineMarkdown = (text) => text.split(INLINE_MARKDOWN).map((part, index) => {
+  if (/^\*\*[^*]+\*\*$/.test(part)) return <strong key={index}>{part.slice(2, -2)}</strong>;
+  if (/^\*[^*]+\*$/.test(part)) return <em key={index}>{part.slice(1, -1)}</em>;
+  if (/^`[^`]+`$/.test(part)) return <code key={index}>{part.slice(1, -1)}</code>;
+  const link = part.match(/^\[([^\]]+)\]\(([^)\s]+)\)$/);
+  if (link) {
+    // Anything that is not http(s) (javascript: and friends) is shown as plain text
+    return /^https?:\/\//i.test(link[2])
+      ? <a key={index} href={link[2]} target="_blank" rel="noopener noreferrer">{link[1]}</a>
+      : link[1];
+  }
+  return part;
+});
+
+function renderMarkdown(source) {
+  const blocks = [];
+  let list = null;
+  let paragraph = [];
+
+  const flushParagraph = () => {
+    if (paragraph.length) blocks.push(<p key={blocks.length}>{renderInlineMarkdown(paragraph.join(' '))}</p>);
+    paragraph = [];
+  };
+  const flushList = () => {
+    if (list) {
+      const ListTag = list.ordered ? 'ol' : 'ul';
+      blocks.push(<ListTag key={blocks.length}>{list.items.map((item, i) => <li key={i}>{renderInlineMarkdown(item)}</li>)}</ListTag>);
+    }
+    list = null;
   };
 
-  return (
-    <ThemeContext.Provider value={{ theme, toggleTheme }}>
-      <ThemeProvider theme={theme === 'light' ? lightTheme : darkTheme}>
-        {children}
-      </ThemeProvider>
-    </ThemeContext.Provider>
-  );
+  source.split('\n').forEach(line => {
+    const heading = line.match(/^(#{1,3})\s+(.*)$/);
+    const item = line.match(/^\s*(?:([-*])|(\d+)\.)\s+(.*)$/);
+    if (heading) {
+      flushParagraph();
+      flushList();
+      // Note headings sit below the page's own h1/h2
+      const HeadingTag = `h${heading[1].length + 3}`;
+      blocks.push(<HeadingTag key={blocks.length}>{renderInlineMarkdown(heading[2])}</HeadingTag>);
+    } else if (item) {
+      flushParagraph();
+      const ordered = Boolean(item[2]);
+      if (list && list.ordered !== ordered) flushList();
+      if (!list) list = { ordered, items: [] };
+      list.items.push(item[3]);
+    } else if (!line.trim()) {
+      flushParagraph();
+      flushList();
+    } else {
+      flushList();
+      paragraph.push(line.trim());
+    }
+  });
+  flushParagraph();
+  flushList();
+  return blocks;
 }
 
-function AuthProvider({ children }) {
-  const [user, setUser] = useState(null);
-  const [showAuthModal, setShowAuthModal] = useState(false);
-  const [authMode, setAuthMode] = useState('login');
+// True for requests cancelled through an AbortController (axios or fetch style)
+const isAbortError = (err) => axios.isCancel(err) || err?.name === 'AbortError' || err?.name === 'CanceledError';
 
-  const login = async (username, password) => {
-    return new Promise((resolve) => {
-      setTimeout(() => {
-        setUser(username);
-        localStorage.setItem('user', username);
-        setShowAuthModal(false);
-        resolve();
-      }, 500);
-    });
-  };
+// Crew worth naming on a detail page, with the TMDB jobs that count towards each role
+const KEY_CREW_ROLES = [
+  { role: 'Director', jobs: ['Director'] },
+  { role: 'Writer', jobs: ['Screenplay', 'Writer', 'Story', 'Novel', 'Author'] },
+  { role: 'Composer', jobs: ['Original Music Composer', 'Music'] }
+];
 
-  const logout = () => {
-    setUser(null);
-    localStorage.removeItem('user');
+// [{ role, people }] for the roles a movie credits, each person listed once per role
+const getKeyCrew = (credits) => KEY_CREW_ROLES
+  .map(({ role, jobs }) => ({
+    role,
+    people: (credits?.crew || [])
+      .filter(member => jobs.includes(member.job))
+      .filter((member, index, crew) => crew.findIndex(other => other.id === member.id) === index)
+  }))
+  .filter(({ people }) => people.length > 0);
+
+// PersonPage keeps its filmography order in ?sort=; the labels are the "person.sort.<value>" messages
+const FILMOGRAPHY_SORT_OPTIONS = [
+  { value: 'year' },
+  { value: 'popularity' }
+];
+
+// TMDB's departments, which it only names in English; others are shown as they come
+const PERSON_DEPARTMENTS = [
+  'Acting', 'Directing', 'Writing', 'Production', 'Editing', 'Camera',
+  'Sound', 'Art', 'Costume & Make-Up', 'Visual Effects', 'Lighting', 'Crew'
+];
+
+// A person's combined credits as { acting, crew } rows with one row per movie: several characters
+// or jobs on the same film are joined. TV credits are left out since there are no TV pages.
+function groupFilmography(credits) {
+  const group = (list, describe) => {
+    const rows = new Map();
+    (list || [])
+      .filter(credit => (credit.media_type || 'movie') === 'movie')
+      .forEach(credit => {
+        const row = rows.get(credit.id);
+        const role = describe(credit);
+        if (!row) rows.set(credit.id, { movie: credit, roles: role ? [role] : [] });
+        else if (role && !row.roles.includes(role)) row.roles.push(role);
+      });
+    return [...rows.values()];
   };
+  return {
+    acting: group(credits?.cast, credit => credit.character),
+    crew: group(credits?.crew, credit => credit.job)
+  };
+}
 
-  const openAuthModal = (mode) => {
-    setAuthMode(mode);
-    setShowAuthModal(true);
+// Newest first with undated (unreleased) films on top, or most popular first
+const sortFilmography = (rows, sort) => [...rows].sort((a, b) => (sort === 'popularity'
+  ? (b.movie.popularity || 0) - (a.movie.popularity || 0)
+  : (b.movie.release_date || '9999').localeCompare(a.movie.release_date || '9999')));
+
+// Videos: only YouTube ones can be embedded; the gallery lists them grouped in this order
+const VIDEO_TYPES = ['Trailer', 'Teaser', 'Clip', 'Featurette', 'Behind the Scenes', 'Bloopers'];
+
+const getPlayableVideos = (videos) => (videos?.results || []).filter(video => video.site === 'YouTube');
+
+// The video a "Trailer" button should start with: a trailer in `language` if there is one,
+// then any trailer, then a teaser, then whatever else there is
+function pickTrailer(videos, language) {
+  const playable = getPlayableVideos(videos);
+  const ofType = (type) => playable.filter(video => video.type === type);
+  return ofType('Trailer').find(video => video.iso_639_1 === language)
+    || ofType('Trailer')[0]
+    || ofType('Teaser')[0]
+    || playable[0]
+    || null;
+}
+
+// Privacy-enhanced embed: YouTube sets no cookies until the visitor plays the video
+const youtubeEmbedUrl = (key) => `https://www.youtube-nocookie.com/embed/${encodeURIComponent(key)}?autoplay=1&rel=0`;
+
+const browserLanguage = () => (typeof navigator !== 'undefined' && navigator.language
+  ? navigator.language.split('-')[0]
+  : 'en');
+
+// "fr" -> "French" where Intl.DisplayNames is available
+const languageName = (code) => {
+  try {
+    return new Intl.DisplayNames([browserLanguage()], { type: 'language' }).of(code) || code;
+  } catch (err) {
+    return code;
+  }
+};
+
+// Where to watch: TMDB groups a movie's providers per region into these offer types.
+// Their labels are the "watchProviders.<key>" messages.
+const WATCH_PROVIDER_TYPES = [
+  { key: 'flatrate' },
+  { key: 'rent' },
+  { key: 'buy' }
+];
+
+// "en-GB" -> "GB"; locales without a region (or no navigator at all) fall back to the US
+const browserRegion = () => {
+  const match = typeof navigator !== 'undefined' && /[-_]([A-Z]{2})\b/i.exec(navigator.language || '');
+  return match ? match[1].toUpperCase() : 'US';
+};
+
+// "GB" -> "United Kingdom" where Intl.DisplayNames is available
+const regionName = (code) => {
+  try {
+    return new Intl.DisplayNames([browserLanguage()], { type: 'region' }).of(code) || code;
+  } catch (err) {
+    return code;
+  }
+};
+
+// Runs `fn` over `items` with at most `limit` calls in flight, keeping results in input order
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
   };
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
 
-  useEffect(() => {
-    const storedUser = localStorage.getItem('user');
-    if (storedUser) setUser(storedUser);
-  }, []);
+// Internationalization
+// UI strings come from per-language message catalogs keyed like "home.search". A message is a
+// string with {placeholders}, or an object of Intl.PluralRules forms ("one", "few", "other"...)
+// picked by the `count` param. Keys missing from a catalog fall back to English.
+const MESSAGES = { en: enMessages, es: esMessages, ar: arMessages, he: heMessages };
 
-  return (
-    <AuthContext.Provider value={{ 
-      user, 
-      login, 
-      logout, 
-      showAuthModal, 
-      setShowAuthModal,
-      openAuthModal,
-      authMode
-    }}>
-      {children}
-    </AuthContext.Provider>
-  );
+const LANGUAGES = [
+  { code: 'en', name: 'English', dir: 'ltr' },
+  { code: 'es', name: 'Español', dir: 'ltr' },
+  { code: 'ar', name: 'العربية', dir: 'rtl' },
+  { code: 'he', name: 'עברית', dir: 'rtl' }
+];
+const DEFAULT_LANGUAGE = 'en';
+
+// The browser's language when there is a catalog for it, English otherwise
+const defaultLanguage = () => (MESSAGES[browserLanguage()] ? browserLanguage() : DEFAULT_LANGUAGE);
+
+const formatNumber = (value, language, options) => new Intl.NumberFormat(language, options).format(value);
+
+function translate(language, key, params = {}) {
+  const message = MESSAGES[language]?.[key] ?? MESSAGES[DEFAULT_LANGUAGE][key] ?? key;
+  const template = typeof message === 'string'
+    ? message
+    : message[new Intl.PluralRules(language).select(params.count)] ?? message.other;
+  return template.replace(/\{(\w+)\}/g, (match, name) => {
+    if (!(name in params)) return match;
+    return typeof params[name] === 'number' ? formatNumber(params[name], language) : params[name];
+  });
 }
 
-function MovieProvider({ children }) {
-  const API_KEY = '9e6e7812ee37eef13da0d895864f2170';
-  const BASE_URL = 'https://api.themoviedb.org/3';
+// TMDB dates are plain YYYY-MM-DD, so they are read and shown as UTC to stay on the same day
+// in every time zone; anything else (timestamps) is shown in local time
+function formatDate(value, language, options = { dateStyle: 'medium' }) {
+  const dateOnly = typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value);
+  const date = new Date(dateOnly ? `${value}T00:00:00Z` : value);
+  if (Number.isNaN(date.getTime())) return '';
+  return new Intl.DateTimeFormat(language, dateOnly ? { ...options, timeZone: 'UTC' } : options).format(date);
+}
 
-  const [movies, setMovies] = useState([]);
-  const [trendingMovies, setTrendingMovies] = useState([]);
-  const [currentMovie, setCurrentMovie] = useState(null);
-  const [searchQuery, setSearchQuery] = useState('');
-  const [isLoading, setIsLoading] = useState(false);
-  const [error, setError] = useState(null);
-  const [favorites, setFavorites] = useState([]);
-  const [searchHistory, setSearchHistory] = useState([]);
+// 135 -> "2h 15m" in English, "2 س 15 د" in Arabic
+const formatRuntime = (minutes, language = DEFAULT_LANGUAGE) => {
+  const unit = (value, name) => formatNumber(value, language, { style: 'unit', unit: name, unitDisplay: 'narrow' });
+  const hours = Math.floor(minutes / 60);
+  const rest = minutes % 60;
+  if (!hours) return unit(rest, 'minute');
+  return rest ? `${unit(hours, 'hour')} ${unit(rest, 'minute')}` : unit(hours, 'hour');
+};
+
+// Movie API Errors
+// Data sources reject with MovieApiError so every screen can tell a dropped connection from a
+// bad API key, a missing movie or a rate limit, and decide whether "Retry" makes sense.
+// What the user sees is the "errors.<type>" message; `message` is its English text, for logs.
+const MOVIE_API_ERROR_TYPES = ['network', 'unauthorized', 'not_found', 'rate_limited', 'server', 'unknown'];
+
+const movieApiErrorKey = (type) => `errors.${MOVIE_API_ERROR_TYPES.includes(type) ? type : 'unknown'}`;
 
-  const fetchTrendingMovies = async () => {
+class MovieApiError extends Error {
+  constructor(type, { status = null, retryAfter = null, message, cause } = {}) {
+    super(message || translate(DEFAULT_LANGUAGE, movieApiErrorKey(type)));
+    this.name = 'MovieApiError';
+    this.type = type;
+    this.status = status;
+    this.retryAfter = retryAfter;
+    this.cause = cause;
+  }
+
+  // Worth retrying automatically: the server asked us to slow down or failed on its side
+  get retryable() {
+    return this.type === 'rate_limited' || this.type === 'server';
+  }
+}
+
+// Turns an axios (or any) failure into a MovieApiError; aborted requests are passed through untouched
+function toMovieApiError(err) {
+  if (err instanceof MovieApiError || isAbortError(err)) return err;
+
+  const status = err?.response?.status;
+  if (!status) return new MovieApiError('network', { cause: err });
+  if (status === 401) return new MovieApiError('unauthorized', { status, cause: err });
+  if (status === 404) return new MovieApiError('not_found', { status, cause: err });
+  if (status === 429) {
+    const seconds = Number(err.response.headers?.['retry-after']);
+    return new MovieApiError('rate_limited', {
+      status,
+      retryAfter: Number.isFinite(seconds) ? seconds * 1000 : null,
+      cause: err
+    });
+  }
+  if (status >= 500) return new MovieApiError('server', { status, cause: err });
+  return new MovieApiError('unknown', { status, cause: err });
+}
+
+const sleep = (ms, signal) => new Promise((resolve, reject) => {
+  const abort = () => {
+    clearTimeout(timeout);
+    reject(new DOMException('The request was aborted', 'AbortError'));
+  };
+  if (signal?.aborted) return abort();
+  const timeout = setTimeout(() => {
+    signal?.removeEventListener('abort', abort);
+    resolve();
+  }, ms);
+  signal?.addEventListener('abort', abort, { once: true });
+});
+
+const MAX_RETRY_DELAY_MS = 10000;
+
+// Retries 429 and 5xx failures with exponential backoff (honouring Retry-After), rethrowing
+// anything else straight away as a MovieApiError
+async function withRetry(request, { retries = 3, baseDelay = 500, signal } = {}) {
+  for (let attempt = 0; ; attempt++) {
     try {
-      const response = await axios.get(
-        `${BASE_URL}/trending/movie/week?api_key=${API_KEY}&append_to_response=videos`
-      );
-      return response.data.results;
+      return await request();
     } catch (err) {
-      throw new Error('Failed to fetch trending movies');
+      const error = toMovieApiError(err);
+      if (isAbortError(error) || !error.retryable || attempt >= retries) throw error;
+      const backoff = baseDelay * 2 ** attempt + Math.random() * baseDelay;
+      await sleep(Math.min(MAX_RETRY_DELAY_MS, error.retryAfter ?? backoff), signal);
     }
+  }
+}
+
+// Data Sources
+// Every movie backend exposes the same methods and resolves with TMDB-shaped payloads,
+// so MovieProvider and the pages never need to know which one is in use. Each method
+// takes a trailing `{ signal, language, region }` options object: `signal` cancels the request,
+// and `language`/`region` ask for localized titles, overviews and release dates.
+const TMDB_API_KEY = process.env.REACT_APP_TMDB_API_KEY || '9e6e7812ee37eef13da0d895864f2170';
+const TMDB_BASE_URL = process.env.REACT_APP_TMDB_BASE_URL || 'https://api.themoviedb.org/3';
+
+const TMDB_FEED_PATHS = {
+  'trending-day': '/trending/movie/day',
+  'trending-week': '/trending/movie/week',
+  'now-playing': '/movie/now_playing',
+  upcoming: '/movie/upcoming',
+  'top-rated': '/movie/top_rated',
+  popular: '/movie/popular'
+};
+
+function createTmdbDataSource({ apiKey = TMDB_API_KEY, baseUrl = TMDB_BASE_URL } = {}) {
+  const get = (path, params = {}, { signal, language, region } = {}) => withRetry(async () => {
+    const response = await axios.get(`${baseUrl}${path}`, {
+      params: { api_key: apiKey, language, region, ...params },
+      signal
+    });
+    return response.data;
+  }, { signal });
+
+  return {
+    name: 'tmdb',
+    getFeed: (feed, page = 1, options) => {
+      if (!TMDB_FEED_PATHS[feed]) return Promise.reject(new MovieApiError('not_found', { status: 404 }));
+      return get(TMDB_FEED_PATHS[feed], { page }, options);
+    },
+    searchMovies: (query, page = 1, options) => get('/search/movie', { query, page }, options),
+    getMovieDetails: (id, options) => get(`/movie/${id}`, {
+      append_to_response: 'videos,credits,recommendations,similar,watch/providers'
+    }, options),
+    getGenres: (options) => get('/genre/movie/list', {}, options),
+    getPerson: (id, options) => get(`/person/${id}`, { append_to_response: 'combined_credits' }, options),
+    getWatchProviders: (region, options) => get('/watch/providers/movie', { watch_region: region }, options),
+    discoverMovies: (filters, page = 1, options) => get('/discover/movie', {
+      page,
+      sort_by: filters.sortBy,
+      with_genres: filters.genres.length ? filters.genres.join(',') : undefined,
+      'primary_release_date.gte': filters.yearFrom ? `${filters.yearFrom}-01-01` : undefined,
+      'primary_release_date.lte': filters.yearTo ? `${filters.yearTo}-12-31` : undefined,
+      'vote_average.gte': filters.minRating || undefined,
+      with_original_language: filters.language || undefined,
+      // "Available on my services" only counts subscriptions, not rentals or purchases
+      ...(filters.providers?.length ? {
+        with_watch_providers: filters.providers.join('|'),
+        watch_region: filters.region,
+        with_watch_monetization_types: 'flatrate'
+      } : {})
+    }, options)
   };
+}
 
-  const fetchMovieDetails = async (id) => {
-    try {
-      setIsLoading(true);
-      const response = await axios.get(
-        `${BASE_URL}/movie/${id}?api_key=${API_KEY}&append_to_response=videos,credits`
+// Offline backend that serves the same payloads from local JSON (or any object with the same shape)
+function createFixtureDataSource({ fixtures = movieFixtures, pageSize = 20, delay = 0 } = {}) {
+  const moviesById = new Map(fixtures.movies.map(movie => [String(movie.id), movie]));
+  const peopleById = new Map((fixtures.people || []).map(person => [String(person.id), person]));
+
+  // Runs `produce` after `delay` like a network call (a throw becomes a rejection),
+  // and rejects like axios does if `signal` aborts first
+  const respond = async (produce, { signal } = {}) => {
+    await sleep(delay, signal);
+    return produce();
+  };
+
+  // `fixtures.translations` holds localized titles and overviews: { [movie id]: { [language]: {...} } }
+  const localize = (movie, language) => ({ ...movie, ...fixtures.translations?.[movie.id]?.[language] });
+
+  // List endpoints on TMDB return summaries: no credits/videos, genre ids instead of genre objects
+  const toListItem = ({ credits, videos, genres = [], runtime, budget, revenue, ...movie }) => ({
+    ...movie,
+    genre_ids: genres.map(genre => genre.id)
+  });
+
+  // TMDB works out recommendations and similar titles server-side; offline, films sharing genres
+  // stand in for "similar", and sharing people (cast, director, composer) counts extra for
+  // "recommendations"
+  const genreIds = (movie) => (movie.genres || []).map(genre => genre.id);
+  const peopleIds = (movie) => [...(movie.credits?.cast || []), ...(movie.credits?.crew || [])].map(person => person.id);
+  const sharedCount = (a, b) => new Set(a.filter(value => b.includes(value))).size;
+  const relatedMovies = (movie, scoreOf) => fixtures.movies
+    .filter(other => other.id !== movie.id)
+    .map(other => ({ other, score: scoreOf(other) }))
+    .filter(({ score }) => score > 0)
+    .sort((a, b) => b.score - a.score || (b.other.popularity || 0) - (a.other.popularity || 0))
+    .map(({ other }) => other);
+
+  const paginate = (items, page, { language } = {}) => {
+    const start = (page - 1) * pageSize;
+    return {
+      page,
+      results: items.slice(start, start + pageSize).map(movie => toListItem(localize(movie, language))),
+      total_pages: Math.max(1, Math.ceil(items.length / pageSize)),
+      total_results: items.length
+    };
+  };
+
+  return {
+    name: 'fixture',
+    // Feeds listed in the fixtures (`trending` is the weekly one) keep their order; top rated,
+    // popular and any feed the fixtures leave out are sorted from all movies
+    getFeed: (feed, page = 1, options) => respond(() => {
+      const ids = feed === 'trending-week' ? fixtures.trending : fixtures.feeds?.[feed];
+      if (ids) return paginate(ids.map(id => moviesById.get(String(id))).filter(Boolean), page, options);
+
+      const field = feed === 'top-rated' ? 'vote_average' : 'popularity';
+      return paginate([...fixtures.movies].sort((a, b) => (b[field] || 0) - (a[field] || 0)), page, options);
+    }, options),
+    searchMovies: (query, page = 1, options) => respond(() => {
+      const needle = query.trim().toLowerCase();
+      const matches = fixtures.movies.filter(movie => [movie, localize(movie, options?.language)]
+        .some(({ title }) => title.toLowerCase().includes(needle)));
+      return paginate(matches, page, options);
+    }, options),
+    getMovieDetails: (id, options) => respond(() => {
+      const movie = moviesById.get(String(id));
+      if (!movie) throw new MovieApiError('not_found', { status: 404 });
+      return {
+        ...localize(movie, options?.language),
+        recommendations: movie.recommendations || paginate(relatedMovies(movie, other =>
+          2 * sharedCount(peopleIds(movie), peopleIds(other)) + sharedCount(genreIds(movie), genreIds(other))
+        ), 1, options),
+        similar: movie.similar || paginate(relatedMovies(movie, other =>
+          sharedCount(genreIds(movie), genreIds(other))
+        ), 1, options),
+        'watch/providers': { results: fixtures.watchProviders?.[movie.id] || {} }
+      };
+    }, options),
+    getGenres: (options) => respond(() => {
+      const genres = fixtures.genres || [
+        ...new Map(fixtures.movies.flatMap(movie => movie.genres || []).map(genre => [genre.id, genre])).values()
+      ];
+      return { genres: [...genres].sort((a, b) => a.name.localeCompare(b.name)) };
+    }, options),
+    // Credits are collected from the fixture movies; `fixtures.people` adds bios where there is one
+    getPerson: (id, options) => respond(() => {
+      const credited = (list) => fixtures.movies.flatMap(movie =>
+        (movie.credits?.[list] || [])
+          .filter(credit => String(credit.id) === String(id))
+          .map(({ id: personId, name, profile_path, ...credit }) => ({ ...toListItem(movie), ...credit, media_type: 'movie' }))
       );
-      return response.data;
+      const cast = credited('cast');
+      const crew = credited('crew');
+      const credit = fixtures.movies
+        .flatMap(movie => [...(movie.credits?.cast || []), ...(movie.credits?.crew || [])])
+        .find(person => String(person.id) === String(id));
+      if (!peopleById.has(String(id)) && !credit) throw new MovieApiError('not_found', { status: 404 });
+
+      return {
+        id: Number(id),
+        name: credit?.name,
+        profile_path: credit?.profile_path ?? null,
+        biography: '',
+        known_for_department: cast.length >= crew.length ? 'Acting' : crew[0].department,
+        ...peopleById.get(String(id)),
+        combined_credits: { cast, crew }
+      };
+    }, options),
+    // Every provider with at least one film in `region`, in TMDB's display order
+    getWatchProviders: (region, options) => respond(() => {
+      const providers = new Map(Object.values(fixtures.watchProviders || {})
+        .flatMap(regions => WATCH_PROVIDER_TYPES.flatMap(({ key }) => regions[region]?.[key] || []))
+        .map(provider => [provider.provider_id, provider]));
+      return {
+        results: [...providers.values()].sort((a, b) => a.display_priority - b.display_priority)
+      };
+    }, options),
+    // Mirrors the subset of /discover/movie filtering that DiscoverPage uses
+    discoverMovies: (filters, page = 1, options) => respond(() => {
+      const year = movie => Number((movie.release_date || '').slice(0, 4));
+      const streamsOn = (movie) => (fixtures.watchProviders?.[movie.id]?.[filters.region]?.flatrate || [])
+        .some(provider => filters.providers.includes(provider.provider_id));
+      const matches = fixtures.movies.filter(movie => {
+        const genreIds = (movie.genres || []).map(genre => genre.id);
+        return filters.genres.every(id => genreIds.includes(id))
+          && (!filters.yearFrom || year(movie) >= filters.yearFrom)
+          && (!filters.yearTo || year(movie) <= filters.yearTo)
+          && movie.vote_average >= (filters.minRating || 0)
+          && (!filters.language || movie.original_language === filters.language)
+          && (!filters.providers?.length || streamsOn(movie));
+      });
+      const [field, direction] = filters.sortBy.split('.');
+      const value = (movie) => {
+        if (field === 'primary_release_date') return movie.release_date || '';
+        if (field === 'original_title') return movie.title;
+        return movie[field] || 0;
+      };
+      const sorted = [...matches].sort((a, b) => {
+        const order = typeof value(a) === 'string'
+          ? value(a).localeCompare(value(b))
+          : value(a) - value(b);
+        return direction === 'asc' ? order : -order;
+      });
+      return paginate(sorted, page, options);
+    }, options)
+  };
+}
+
+// REACT_APP_MOVIE_SOURCE picks the backend; tests default to the offline fixtures
+function createDataSource(source = process.env.REACT_APP_MOVIE_SOURCE) {
+  const selected = source || (process.env.NODE_ENV === 'test' ? 'fixture' : 'tmdb');
+  switch (selected) {
+    case 'tmdb':
+      return createTmdbDataSource();
+    case 'fixture':
+      return createFixtureDataSource();
+    default:
+      throw new Error(`Unknown movie data source "${selected}"`);
+  }
+}
+
+// Response Cache
+// Wraps a data source so repeated calls are served from memory (and optionally localStorage).
+// Each entry is fresh for `ttl`; until `maxAge` it is still returned instantly while a background
+// request refreshes it (stale-while-revalidate). Callers asking for the same thing at the same
+// time share a single request.
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+const DAY_MS = 24 * HOUR_MS;
+
+// `arity` is the number of arguments before the trailing options object; they make up the cache key,
+// together with the options' `language` and `region` since those change the response
+const CACHE_POLICIES = {
+  getFeed: { arity: 2, ttl: 10 * MINUTE_MS, maxAge: DAY_MS },
+  searchMovies: { arity: 2, ttl: 30 * MINUTE_MS, maxAge: 6 * HOUR_MS },
+  getMovieDetails: { arity: 1, ttl: 6 * HOUR_MS, maxAge: 7 * DAY_MS },
+  getGenres: { arity: 0, ttl: DAY_MS, maxAge: 30 * DAY_MS },
+  getPerson: { arity: 1, ttl: 6 * HOUR_MS, maxAge: 7 * DAY_MS },
+  getWatchProviders: { arity: 1, ttl: DAY_MS, maxAge: 30 * DAY_MS },
+  discoverMovies: { arity: 2, ttl: 30 * MINUTE_MS, maxAge: DAY_MS }
+};
+
+const CACHE_STORAGE_PREFIX = 'movie-explorer:cache:';
+
+const cacheKey = (method, args, { language, region } = {}) => (language || region
+  ? `${method}:${JSON.stringify(args)}:${language || ''}-${region || ''}`
+  : `${method}:${JSON.stringify(args)}`);
+
+function createCachedDataSource(source, {
+  policies = CACHE_POLICIES,
+  storage = null,
+  maxEntries = 200,
+  maxPersisted = 60,
+  now = () => Date.now()
+} = {}) {
+  const entries = new Map();
+  const inflight = new Map();
+  const indexKey = `${CACHE_STORAGE_PREFIX}index`;
+
+  const readPersisted = (key) => {
+    if (!storage) return null;
+    try {
+      return JSON.parse(storage.getItem(CACHE_STORAGE_PREFIX + key));
     } catch (err) {
-      throw new Error('Failed to fetch movie details');
-    } finally {
-      setIsLoading(false);
+      return null;
     }
   };
 
-  const searchMovies = async (query) => {
+  // Persisted keys are tracked oldest-first so the least recently written ones are evicted first
+  const persist = (key, entry) => {
+    if (!storage) return;
+    let index = [];
     try {
-      setIsLoading(true);
-      setSearchQuery(query);
-      const response = await axios.get(
-        `${BASE_URL}/search/movie?api_key=${API_KEY}&query=${query}&append_to_response=videos`
-      );
-      setMovies(response.data.results);
-      setSearchHistory(prev => [...prev, query]);
+      index = JSON.parse(storage.getItem(indexKey)) || [];
     } catch (err) {
-      setError(err.message);
-    } finally {
-      setIsLoading(false);
+      index = [];
+    }
+    index = [...index.filter(existing => existing !== key), key];
+    while (index.length > maxPersisted) {
+      storage.removeItem(CACHE_STORAGE_PREFIX + index.shift());
+    }
+    try {
+      storage.setItem(CACHE_STORAGE_PREFIX + key, JSON.stringify(entry));
+    } catch (err) {
+      // Out of space: drop the older half of the cache and keep this entry in memory only
+      index.splice(0, Math.ceil(index.length / 2)).forEach(old => storage.removeItem(CACHE_STORAGE_PREFIX + old));
+    }
+    try {
+      storage.setItem(indexKey, JSON.stringify(index));
+    } catch (err) {
+      // The index is rebuilt as entries are written again
     }
   };
 
-  const clearSearch = () => {
-    setSearchQuery('');
-    setMovies([]);
+  const remember = (key, entry) => {
+    entries.delete(key);
+    entries.set(key, entry);
+    // Maps iterate in insertion order, so the first key is the least recently stored
+    if (entries.size > maxEntries) entries.delete(entries.keys().next().value);
   };
 
-  const toggleFavorite = (movie) => {
-    setFavorites(prev => {
-      const isFavorite = prev.some(fav => fav.id === movie.id);
-      if (isFavorite) {
-        return prev.filter(fav => fav.id !== movie.id);
-      } else {
-        return [...prev, movie];
-      }
+  const readEntry = (key) => {
+    if (!entries.has(key)) {
+      const stored = readPersisted(key);
+      if (stored) remember(key, stored);
+    }
+    return entries.get(key);
+  };
+
+  // Starts (or joins) the shared request for `key`. The underlying request is only aborted
+  // once every caller that joined it with a signal has aborted; signal-less callers keep it alive.
+  const request = (method, args, key, { signal, language, region } = {}) => {
+    let pending = inflight.get(key);
+    if (!pending) {
+      const controller = new AbortController();
+      pending = { controller, waiting: 0, keepAlive: false };
+      pending.promise = source[method](...args, { signal: controller.signal, language, region })
+        .then(data => {
+          const entry = { data, fetchedAt: now() };
+          remember(key, entry);
+          persist(key, entry);
+          return data;
+        })
+        .finally(() => inflight.delete(key));
+      inflight.set(key, pending);
+    }
+
+    if (!signal) {
+      pending.keepAlive = true;
+      return pending.promise;
+    }
+
+    const shared = pending;
+    shared.waiting += 1;
+    return new Promise((resolve, reject) => {
+      const abort = () => {
+        shared.waiting -= 1;
+        if (shared.waiting === 0 && !shared.keepAlive) shared.controller.abort();
+        reject(new DOMException('The request was aborted', 'AbortError'));
+      };
+      if (signal.aborted) return abort();
+      signal.addEventListener('abort', abort, { once: true });
+      shared.promise.then(resolve, reject).finally(() => signal.removeEventListener('abort', abort));
     });
   };
 
-  useEffect(() => {
-    const loadData = async () => {
+  const cached = (method, { arity, ttl, maxAge }) => (...callArgs) => {
+    const args = callArgs.slice(0, arity);
+    const { signal, onRevalidate, language, region } = callArgs[arity] || {};
+    const key = cacheKey(method, args, { language, region });
+    const entry = readEntry(key);
+    const age = entry ? now() - entry.fetchedAt : Infinity;
+
+    if (age < ttl) return Promise.resolve(entry.data);
+    if (age < maxAge) {
+      // Serve the stale copy now; `onRevalidate` receives the fresh one when it arrives
+      request(method, args, key, { language, region })
+        .then(data => onRevalidate?.(data))
+        .catch(() => {});
+      return Promise.resolve(entry.data);
+    }
+    return request(method, args, key, { signal, language, region });
+  };
+
+  const wrapped = { ...source };
+  Object.entries(policies).forEach(([method, policy]) => {
+    if (typeof source[method] === 'function') wrapped[method] = cached(method, policy);
+  });
+
+  return {
+    ...wrapped,
+    // Synchronous read of a usable (fresh or stale) entry, so pages can render cached data on first paint.
+    // Takes the same arguments as the method, including the options' language and region.
+    peek: (method, ...args) => {
+      const policy = policies[method];
+      if (!policy) return undefined;
+      const entry = readEntry(cacheKey(method, args.slice(0, policy.arity), args[policy.arity]));
+      return entry && now() - entry.fetchedAt < policy.maxAge ? entry.data : undefined;
+    },
+    clearCache: () => {
+      entries.clear();
+      if (!storage) return;
       try {
-        setIsLoading(true);
-        const data = await fetchTrendingMovies();
-        setTrendingMovies(data);
+        (JSON.parse(storage.getItem(indexKey)) || []).forEach(key => storage.removeItem(CACHE_STORAGE_PREFIX + key));
       } catch (err) {
-        setError(err.message);
-      } finally {
-        setIsLoading(false);
+        // Nothing persisted
       }
-    };
-    loadData();
-  }, []);
+      storage.removeItem(indexKey);
+    }
+  };
+}
 
-  return (
-    <MovieContext.Provider value={{
-      movies,
-      trendingMovies,
-      searchQuery,
-      isLoading,
-      error,
-      searchMovies,
-      clearSearch,
-      fetchMovieDetails,
-      favorites,
-      toggleFavorite,
-      searchHistory
-    }}>
-      {children}
-    </MovieContext.Provider>
-  );
+// REACT_APP_MOVIE_CACHE is "local" (memory + localStorage), "memory" or "off";
+// it defaults to "local" in the browser and "memory" under test
+function withResponseCache(source, mode = process.env.REACT_APP_MOVIE_CACHE) {
+  const selected = mode || (process.env.NODE_ENV === 'test' ? 'memory' : 'local');
+  if (selected === 'off') return source;
+  return createCachedDataSource(source, {
+    storage: selected === 'local' && typeof window !== 'undefined' ? window.localStorage : null
+  });
 }
 
-// Components
-function AuthModal() {
-  const { login, showAuthModal, setShowAuthModal, authMode } = useContext(AuthContext);
-  const [username, setUsername] = useState('');
-  const [password, setPassword] = useState('');
+const defaultDataSource = withResponseCache(createDataSource());
 
-  const handleSubmit = async (e) => {
-    e.preventDefault();
-    await login(username, password);
-  };
+// Adds the viewer's `language` and `region` to the options of every call (and peek), so pages get
+// localized payloads without passing them around. CACHE_POLICIES lists each method's arity.
+function withLocale(source, locale, policies = CACHE_POLICIES) {
+  const localized = { ...source };
+  const withOptions = (arity, callArgs) => [
+    ...Array.from({ length: arity }, (_, index) => callArgs[index]),
+    { ...callArgs[arity], ...locale }
+  ];
+  Object.entries(policies).forEach(([method, { arity }]) => {
+    if (typeof source[method] === 'function') {
+      localized[method] = (...callArgs) => source[method](...withOptions(arity, callArgs));
+    }
+  });
+  if (source.peek) {
+    localized.peek = (method, ...args) => source.peek(method, ...withOptions(policies[method]?.arity ?? 0, args));
+  }
+  return localized;
+}
 
-  if (!showAuthModal) return null;
+// Type-ahead: how long typing must pause before suggestions are fetched, and how many to show
+const SUGGESTION_DEBOUNCE_MS = 300;
+const MAX_SUGGESTIONS = 6;
 
-  return (
-    <AuthModalOverlay>
-      <AuthModalContent>
-        <button 
-          onClick={() => setShowAuthModal(false)}
-          style={{
-            position: 'absolute',
-            top: '10px',
-            right: '10px',
-            background: 'none',
-            border: 'none',
-            color: 'white',
-            fontSize: '1.5rem',
-            cursor: 'pointer'
-          }}
-        >
-          <FaTimes />
-        </button>
-        <h2>{authMode === 'login' ? 'Login' : 'Sign Up'}</h2>
-        <AuthForm onSubmit={handleSubmit}>
-          <AuthInput
-            type="text"
-            placeholder="Username"
-            value={username}
-            onChange={(e) => setUsername(e.target.value)}
-            required
-          />
-          <AuthInput
-            type="password"
-            placeholder="Password"
-            value={password}
-            onChange={(e) => setPassword(e.target.value)}
-            required
-          />
-          <AuthSubmitButton type="submit">
-            {authMode === 'login' ? 'Login' : 'Sign Up'}
-          </AuthSubmitButton>
-        </AuthForm>
-      </AuthModalContent>
-    </AuthModalOverlay>
-  );
-}
+// Home's movie feeds, chosen with ?feed= (the weekly trending list when it is missing).
+// Trending has a day/week switch rather than two tabs.
+// Their labels are the "feeds.<id>" messages.
+const HOME_FEEDS = [
+  { id: 'trending' },
+  { id: 'now-playing' },
+  { id: 'upcoming' },
+  { id: 'top-rated' },
+  { id: 'popular' }
+];
+const TRENDING_WINDOWS = [
+  { id: 'trending-day' },
+  { id: 'trending-week' }
+];
+const DEFAULT_FEED = 'trending-week';
+const EMPTY_FEED = { movies: [], page: 0, totalPages: 1, loading: false, error: null };
+const FEED_IDS = [...TRENDING_WINDOWS, ...HOME_FEEDS.filter(feed => feed.id !== 'trending')].map(feed => feed.id);
 
-function WelcomePage() {
-  const { openAuthModal } = useContext(AuthContext);
+// Home shows "Because you favorited X" rows for this many of the most recently added favorites
+const MAX_FAVORITE_SEEDS = 3;
+const MAX_ROW_MOVIES = 12;
 
-  return (
-    <WelcomeContainer>
-      <h1 style={{ fontSize: '3rem', marginBottom: '1rem' }}>Welcome to Movie Explorer</h1>
-      <p style={{ fontSize: '1.5rem', marginBottom: '2rem' }}>Discover your next favorite movie</p>
+// How many result pages a ?page= link may ask Home to reload in one go
+const MAX_RESTORED_PAGES = 10;
+
+// Compare
+// MovieList cards collect movies into a tray (at most MAX_COMPARE) that opens /compare?ids=603,27205
+const MAX_COMPARE = 4;
+
+// The ids in ?ids=, in order, without repeats or anything that isn't a movie id
+const parseCompareIds = (searchParams) => [
+  ...new Set((searchParams.get('ids') || '').split(',').filter(id => /^\d+$/.test(id)))
+].slice(0, MAX_COMPARE);
+
+// Rows of the comparison table. Rows with a `value` highlight the movie with the best one: the highest,
+// or the lowest for `best: 'min'` (a shorter film is the easier pick for a movie night).
+// Their labels are the "compare.rows.<key>" messages.
+const COMPARE_ROWS = [
+  { key: 'rating', value: movie => (movie.vote_count === 0 ? null : movie.vote_average), best: 'max' },
+  { key: 'runtime', value: movie => movie.runtime || null, best: 'min' },
+  { key: 'release', value: movie => (movie.release_date ? Date.parse(movie.release_date) : null), best: 'max' },
+  { key: 'genres' },
+  { key: 'director' },
+  { key: 'cast' },
+  { key: 'budget', value: movie => movie.budget || null, best: 'max' },
+  { key: 'revenue', value: movie => movie.revenue || null, best: 'max' }
+];
+const COMPARE_TOP_CAST = 3;
+
+// Ids of the movies holding the best value in `row`: none when fewer than two movies have a value
+// or they all tie, since there is nothing to pick between
+function bestInRow(row, movies) {
+  if (!row.value) return [];
+  const scored = movies
+    .map(movie => ({ id: movie.id, value: row.value(movie) }))
+    .filter(({ value }) => value !== null && value !== undefined);
+  const values = scored.map(({ value }) => value);
+  if (scored.length < 2 || values.every(value => value === values[0])) return [];
+  const best = row.best === 'min' ? Math.min(...values) : Math.max(...values);
+  return scored.filter(({ value }) => value === best).map(({ id }) => id);
+}
+
+// Movie night picker
+// PickerPage keeps its pool and limits in the query string
+// (?pool=watchlist&runtime=120&include=28&exclude=27&min=7&months=6) and the result in ?pick=, so a
+// pick can be shared. With ?pool=discover the Discover filters (?genres=, ?from=...) ride along in
+// the same URL, which is how DiscoverPage hands its results over.
+// The pools' labels are the "picker.pools.<value>" messages.
+const PICKER_POOLS = [
+  { value: 'favorites' },
+  { value: 'watchlist' },
+  { value: 'discover' }
+];
+const PICKER_PARAMS = {
+  pool: 'pool',
+  maxRuntime: 'runtime',
+  include: 'include',
+  exclude: 'exclude',
+  minRating: 'min',
+  notWatchedMonths: 'months'
+};
+// Summaries from list endpoints have no runtime, so a runtime limit fetches details this many at a time
+const PICKER_DETAIL_CONCURRENCY = 4;
+
+function parsePickerOptions(searchParams) {
+  const positive = (name) => {
+    const value = Number(searchParams.get(name));
+    return Number.isFinite(value) && value > 0 ? value : 0;
+  };
+  const ids = (name) => (searchParams.get(name) || '')
+    .split(',')
+    .map(Number)
+    .filter(id => Number.isInteger(id) && id > 0);
+  const pool = searchParams.get('pool');
+  return {
+    pool: PICKER_POOLS.some(option => option.value === pool) ? pool : PICKER_POOLS[0].value,
+    maxRuntime: positive('runtime'),
+    include: ids('include'),
+    exclude: ids('exclude'),
+    minRating: Math.min(10, positive('min')),
+    notWatchedMonths: positive('months')
+  };
+}
+
+// Whether `movie` passes every limit. Movies whose runtime is unknown fail a runtime limit.
+function meetsPickerLimits(movie, options, watched, now = Date.now()) {
+  const genreIds = movie.genre_ids || (movie.genres || []).map(genre => genre.id);
+  if (options.maxRuntime && !(movie.runtime && movie.runtime <= options.maxRuntime)) return false;
+  if (options.include.length && !options.include.some(id => genreIds.includes(id))) return false;
+  if (options.exclude.some(id => genreIds.includes(id))) return false;
+  if ((movie.vote_average || 0) < options.minRating) return false;
+  if (options.notWatchedMonths) {
+    const entry = watched.find(item => item.id === movie.id);
+    const cutoff = new Date(now);
+    cutoff.setMonth(cutoff.getMonth() - options.notWatchedMonths);
+    if (entry && new Date(entry.watchedAt) > cutoff) return false;
+  }
+  return true;
+}
+
+// Better-rated movies are likelier picks: the weight is the square of the rating out of 10 (the
+// viewer's own rating when they gave one, TMDB's otherwise), floored so unrated films keep a chance
+const pickWeight = (movie, ratings) => {
+  const score = ratings[movie.id]?.rating ? ratings[movie.id].rating * 2 : movie.vote_average || 0;
+  return Math.max(score, 1) ** 2;
+};
+
+// One item chosen at random in proportion to `weightOf(item)`; undefined when `items` is empty
+function pickWeighted(items, weightOf, random = Math.random) {
+  const weights = items.map(weightOf);
+  let roll = random() * weights.reduce((total, weight) => total + weight, 0);
+  for (let index = 0; index < items.length; index++) {
+    roll -= weights[index];
+    if (roll < 0) return items[index];
+  }
+  return items[items.length - 1];
+}
+
+// Discover filters
+// DiscoverPage keeps its filters in the query string (?genres=28,12&from=1990&to=1999&rating=7&lang=en&sort=...)
+// so a filtered view can be bookmarked or shared. ?services=1 limits results to the viewer's own
+// streaming services, which come from their settings rather than the URL.
+// The sort labels are the "discover.sort.<value>" messages.
+const DISCOVER_SORT_OPTIONS = [
+  { value: 'popularity.desc' },
+  { value: 'vote_average.desc' },
+  { value: 'primary_release_date.desc' },
+  { value: 'primary_release_date.asc' },
+  { value: 'revenue.desc' },
+  { value: 'original_title.asc' }
+];
+
+// Original languages to filter by, after "Any language"; the labels are the "discover.languages.<value>" messages
+const DISCOVER_LANGUAGES = [
+  { value: 'en' },
+  { value: 'fr' },
+  { value: 'es' },
+  { value: 'de' },
+  { value: 'it' },
+  { value: 'ja' },
+  { value: 'ko' },
+  { value: 'hi' },
+  { value: 'zh' }
+];
+
+const parseYear = (value) => {
+  const year = Number(value);
+  return Number.isInteger(year) && year > 1800 && year < 3000 ? year : null;
+};
+
+function parseDiscoverFilters(searchParams) {
+  const sortBy = searchParams.get('sort');
+  const minRating = Number(searchParams.get('rating'));
+  return {
+    genres: (searchParams.get('genres') || '')
+      .split(',')
+      .map(Number)
+      .filter(id => Number.isInteger(id) && id > 0),
+    yearFrom: parseYear(searchParams.get('from')),
+    yearTo: parseYear(searchParams.get('to')),
+    minRating: minRating > 0 && minRating <= 10 ? minRating : 0,
+    language: searchParams.get('lang') || '',
+    sortBy: DISCOVER_SORT_OPTIONS.some(option => option.value === sortBy) ? sortBy : DISCOVER_SORT_OPTIONS[0].value,
+    onMyServices: searchParams.get('services') === '1'
+  };
+}
+
+// Inverse of parseDiscoverFilters; default values are left out to keep shared URLs short
+function toDiscoverSearchParams(filters) {
+  const params = {};
+  if (filters.genres.length) params.genres = filters.genres.join(',');
+  if (filters.yearFrom) params.from = String(filters.yearFrom);
+  if (filters.yearTo) params.to = String(filters.yearTo);
+  if (filters.minRating) params.rating = String(filters.minRating);
+  if (filters.language) params.lang = filters.language;
+  if (filters.sortBy !== DISCOVER_SORT_OPTIONS[0].value) params.sort = filters.sortBy;
+  if (filters.onMyServices) params.services = '1';
+  return params;
+}
+
+// Storage
+// Per-user data lives in localStorage as { version, data } records so the format can evolve
+const STORAGE_PREFIX = 'movie-explorer';
+const MOVIE_LIST_SCHEMA_VERSION = 1;
+const SEARCH_HISTORY_SCHEMA_VERSION = 1;
+const COLLECTIONS_SCHEMA_VERSION = 1;
+const RATINGS_SCHEMA_VERSION = 1;
+const SETTINGS_SCHEMA_VERSION = 1;
+const THEME_SCHEMA_VERSION = 1;
+const LANGUAGE_SCHEMA_VERSION = 1;
+const MAX_SEARCH_HISTORY = 20;
+
+const userStorageKey = (user, name) => `${STORAGE_PREFIX}:${name}:${user}`;
+
+// Reads a versioned record, running `migrate(data, version)` on anything older than `version`.
+// Missing, unreadable or newer-than-known records fall back to `fallback`.
+function readUserData(user, name, { version, fallback, migrate = data => data }) {
+  if (!user) return fallback;
+  try {
+    const raw = localStorage.getItem(userStorageKey(user, name));
+    if (!raw) return fallback;
+
+    const parsed = JSON.parse(raw);
+    // Records written before versioning was introduced are bare values
+    const record = parsed && typeof parsed === 'object' && 'version' in parsed
+      ? parsed
+      : { version: 0, data: parsed };
+
+    if (record.version > version) return fallback;
+    return record.version < version ? migrate(record.data, record.version) : record.data;
+  } catch (err) {
+    return fallback;
+  }
+}
+
+function writeUserData(user, name, version, data) {
+  if (!user) return;
+  try {
+    localStorage.setItem(userStorageKey(user, name), JSON.stringify({ version, data }));
+  } catch (err) {
+    // Quota exceeded or storage disabled: keep working from memory
+  }
+}
+
+// The fields lists need to render a card, without the heavy detail payload (credits, videos...)
+const toMovieSummary = (movie) => ({
+  id: movie.id,
+  title: movie.title,
+  poster_path: movie.poster_path ?? null,
+  release_date: movie.release_date ?? '',
+  vote_average: movie.vote_average ?? 0,
+  genre_ids: movie.genre_ids ?? (movie.genres || []).map(genre => genre.id),
+  ...(movie.runtime ? { runtime: movie.runtime } : {})
+});
+
+const isInList = (list, movie) => list.some(item => item.id === movie.id);
+
+const withoutMovie = (list, movie) => list.filter(item => item.id !== movie.id);
+
+// Favorites, the watchlist and the watched history are all stored as movie lists:
+// arrays of movie summaries, plus list-specific fields such as `watchedAt`
+const MOVIE_LISTS = ['favorites', 'watchlist', 'watched'];
+
+const loadMovieList = (user, name) => readUserData(user, name, {
+  version: MOVIE_LIST_SCHEMA_VERSION,
+  fallback: [],
+  migrate: (data) => (Array.isArray(data) ? data.map(toMovieSummary) : [])
+});
+
+const saveMovieList = (user, name, movies) => {
+  writeUserData(user, name, MOVIE_LIST_SCHEMA_VERSION, movies);
+};
+
+// Saves only the lists that differ from `previous`
+const saveMovieLists = (user, lists, previous) => {
+  MOVIE_LISTS.forEach(name => {
+    if (lists[name] !== previous[name]) saveMovieList(user, name, lists[name]);
+  });
+};
+
+// Named collections ("Horror night") keep their movies in the order the user arranged them:
+// [{ id, name, createdAt, movies: [movie summary] }]
+const createCollectionId = () => `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+
+// Moves the item at `from` to `to`, leaving the array untouched when either index is out of range
+const moveItem = (list, from, to) => {
+  if (from === to || from < 0 || to < 0 || from >= list.length || to >= list.length) return list;
+  const next = [...list];
+  const [item] = next.splice(from, 1);
+  next.splice(to, 0, item);
+  return next;
+};
+
+const loadCollections = (user) => readUserData(user, 'collections', {
+  version: COLLECTIONS_SCHEMA_VERSION,
+  fallback: []
+});
+
+const saveCollections = (user, collections) => {
+  writeUserData(user, 'collections', COLLECTIONS_SCHEMA_VERSION, collections);
+};
+
+// Personal ratings and notes, keyed by movie id: { [id]: { rating, note, updatedAt, movie } }.
+// `rating` is 0.5-5 in half-star steps (null when only a note was written); `movie` is a
+// summary so the "My ratings" page can list everything without refetching.
+const RATING_STEPS = [0.5, 1, 1.5, 2, 2.5, 3, 3.5, 4, 4.5, 5];
+
+const clampRating = (value) => Math.min(5, Math.max(0.5, Math.round(value * 2) / 2));
+
+const loadRatings = (user) => readUserData(user, 'ratings', {
+  version: RATINGS_SCHEMA_VERSION,
+  fallback: {}
+});
+
+const saveRatings = (user, ratings) => {
+  writeUserData(user, 'ratings', RATINGS_SCHEMA_VERSION, ratings);
+};
+
+// Merges `changes` into a movie's entry, dropping the entry once it has neither a rating nor a note
+const withRatingEntry = (ratings, movie, changes) => {
+  const { [movie.id]: current, ...rest } = ratings;
+  const entry = { rating: null, note: '', ...current, ...changes, movie: toMovieSummary(movie) };
+  if (entry.rating === null && !entry.note.trim()) return rest;
+  return { ...rest, [movie.id]: { ...entry, updatedAt: new Date().toISOString() } };
+};
+
+// FavoritesPage keeps its order in ?sort= so a sorted view survives a reload; the labels are the
+// "favorites.sort.<value>" messages
+const FAVORITES_SORT_OPTIONS = [
+  { value: 'added' },
+  { value: 'mine' },
+  { value: 'tmdb' },
+  { value: 'title' }
+];
+
+// Unrated movies go last when sorting by personal rating; TMDB's score breaks ties
+function sortMovieList(movies, sort, ratings) {
+  const myRating = (movie) => ratings[movie.id]?.rating ?? 0;
+  switch (sort) {
+    case 'mine':
+      return [...movies].sort((a, b) => myRating(b) - myRating(a) || b.vote_average - a.vote_average);
+    case 'tmdb':
+      return [...movies].sort((a, b) => b.vote_average - a.vote_average);
+    case 'title':
+      return [...movies].sort((a, b) => a.title.localeCompare(b.title));
+    default:
+      return movies;
+  }
+}
+
+// "  Star  Wars" and "star wars" are the same search as far as history is concerned
+const normalizeQuery = (query) => query.trim().replace(/\s+/g, ' ').toLowerCase();
+
+// Newest first, one entry per normalised query, capped at MAX_SEARCH_HISTORY
+const addToSearchHistory = (history, query, searchedAt = Date.now()) => [
+  { query: query.trim().replace(/\s+/g, ' '), searchedAt },
+  ...history.filter(entry => normalizeQuery(entry.query) !== normalizeQuery(query))
+].slice(0, MAX_SEARCH_HISTORY);
+
+const loadSearchHistory = (user) => readUserData(user, 'search-history', {
+  version: SEARCH_HISTORY_SCHEMA_VERSION,
+  fallback: [],
+  // Unversioned history was a plain array of query strings, oldest first
+  migrate: (data) => (Array.isArray(data)
+    ? data.filter(query => typeof query === 'string').reduce((history, query) => addToSearchHistory(history, query, 0), [])
+    : [])
+});
+
+const saveSearchHistory = (user, history) => {
+  writeUserData(user, 'search-history', SEARCH_HISTORY_SCHEMA_VERSION, history);
+};
+
+// Preferences: the watch region (from the browser locale until the user picks one) and the
+// provider ids of the streaming services they subscribe to
+const defaultSettings = () => ({ region: browserRegion(), services: [] });
+
+const loadSettings = (user) => ({
+  ...defaultSettings(),
+  ...readUserData(user, 'settings', { version: SETTINGS_SCHEMA_VERSION, fallback: {} })
+});
+
+const saveSettings = (user, settings) => {
+  writeUserData(user, 'settings', SETTINGS_SCHEMA_VERSION, settings);
+};
+
+// One of THEME_PREFERENCES; anything unknown falls back to following the system
+const loadThemePreference = (user) => {
+  const preference = readUserData(user, 'theme', { version: THEME_SCHEMA_VERSION, fallback: 'system' });
+  return THEME_PREFERENCES.some(option => option.value === preference) ? preference : 'system';
+};
+
+const saveThemePreference = (user, preference) => {
+  writeUserData(user, 'theme', THEME_SCHEMA_VERSION, preference);
+};
+
+// A code from LANGUAGES; until the user picks one, the browser's language if there is a catalog for it
+const loadLanguage = (user) => {
+  const language = readUserData(user, 'language', { version: LANGUAGE_SCHEMA_VERSION, fallback: null });
+  return MESSAGES[language] ? language : defaultLanguage();
+};
+
+const saveLanguage = (user, language) => {
+  writeUserData(user, 'language', LANGUAGE_SCHEMA_VERSION, language);
+};
+
+// Import / Export
+// Lists, collections and ratings can be exported as JSON (a full backup) or CSV (one row per movie
+// per list), and imported back from either, or from a Letterboxd CSV export. Imported rows without
+// a TMDB id are matched by title and year before anything is written.
+const EXPORT_FORMAT = 'movie-explorer';
+const EXPORT_FORMAT_VERSION = 1;
+const CSV_COLUMNS = ['list', 'collection', 'tmdb_id', 'title', 'year', 'rating', 'watched_date'];
+// Where rows that don't name a list go (Letterboxd exports, for instance); the labels are the
+// "importExport.targets.<value>" messages
+const IMPORT_TARGETS = [
+  { value: 'favorites' },
+  { value: 'watchlist' },
+  { value: 'watched' },
+  { value: 'ratings' }
+];
+
+// A file that can't be imported; the page shows the "importExport.errors.<code>" message
+class ImportError extends Error {
+  constructor(code) {
+    super(translate(DEFAULT_LANGUAGE, `importExport.errors.${code}`));
+    this.name = 'ImportError';
+    this.code = code;
+  }
+}
+const IMPORT_MATCH_CONCURRENCY = 4;
+const MAX_MATCH_CANDIDATES = 5;
+
+const releaseYear = (movie) => (movie.release_date || '').slice(0, 4);
+
+const toCsvField = (value) => {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const toCsv = (columns, rows) => [
+  columns.map(toCsvField).join(','),
+  ...rows.map(row => columns.map(column => toCsvField(row[column])).join(','))
+].join('\n');
+
+// RFC 4180 CSV (quoted fields, "" escapes, CRLF or LF) into one object per row, keyed by header
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  const [header = [], ...body] = rows.filter(cells => cells.some(cell => cell.trim()));
+  const keys = header.map(key => key.replace(/^\uFEFF/, '').trim());
+  return body.map(cells => Object.fromEntries(keys.map((key, i) => [key, (cells[i] ?? '').trim()])));
+}
+
+function buildJsonExport({ lists, collections, ratings }) {
+  return JSON.stringify({
+    format: EXPORT_FORMAT,
+    version: EXPORT_FORMAT_VERSION,
+    exportedAt: new Date().toISOString(),
+    lists,
+    collections: collections.map(({ name, movies }) => ({ name, movies })),
+    ratings
+  }, null, 2);
+}
+
+function buildCsvExport({ lists, collections, ratings }) {
+  const toRow = (list, movie, collection = '') => ({
+    list,
+    collection,
+    tmdb_id: movie.id,
+    title: movie.title,
+    year: releaseYear(movie),
+    rating: ratings[movie.id]?.rating ?? '',
+    watched_date: movie.watchedAt ? movie.watchedAt.slice(0, 10) : ''
+  });
+
+  return toCsv(CSV_COLUMNS, [
+    ...MOVIE_LISTS.flatMap(name => lists[name].map(movie => toRow(name, movie))),
+    ...collections.flatMap(collection => collection.movies.map(movie => toRow('collection', movie, collection.name))),
+    ...Object.values(ratings).filter(entry => entry.rating !== null).map(entry => toRow('ratings', entry.movie))
+  ]);
+}
+
+const parseRating = (value) => {
+  const rating = parseFloat(value);
+  return rating > 0 ? clampRating(rating) : null;
+};
+
+// Turns an export (ours in JSON or CSV, or Letterboxd's CSV) into import rows:
+// { list, collection, title, year, tmdbId, rating, note, watchedAt, movie }.
+// Rows from our JSON carry a full `movie` summary and need no matching.
+function parseImportFile(text, { target = 'favorites' } = {}) {
+  const content = text.replace(/^\uFEFF/, '').trim();
+
+  if (content.startsWith('{')) {
+    const data = JSON.parse(content);
+    if (data.format !== EXPORT_FORMAT) {
+      throw new ImportError('notExport');
+    }
+    const fromMovie = (list, movie, extra = {}) => ({
+      list,
+      title: movie.title,
+      year: releaseYear(movie),
+      tmdbId: movie.id,
+      watchedAt: movie.watchedAt,
+      movie,
+      ...extra
+    });
+    return [
+      ...MOVIE_LISTS.flatMap(name => (data.lists?.[name] || []).map(movie => fromMovie(name, movie))),
+      ...(data.collections || []).flatMap(collection => (collection.movies || []).map(movie =>
+        fromMovie('collection', movie, { collection: collection.name })
+      )),
+      ...Object.values(data.ratings || {}).map(entry =>
+        fromMovie('ratings', entry.movie, { rating: entry.rating, note: entry.note })
+      )
+    ];
+  }
+
+  const records = parseCsv(content);
+  if (records.length === 0) return [];
+
+  if ('tmdb_id' in records[0]) {
+    return records.map(record => ({
+      list: record.list || target,
+      collection: record.collection,
+      title: record.title,
+      year: record.year,
+      tmdbId: Number(record.tmdb_id) || null,
+      rating: parseRating(record.rating),
+      watchedAt: record.watched_date
+    }));
+  }
+
+  if ('Name' in records[0]) {
+    return records.map(record => ({
+      list: target,
+      title: record.Name,
+      year: record.Year,
+      rating: parseRating(record.Rating),
+      // Diary rows have a separate Watched Date; in watched.csv, Date is when it was logged
+      watchedAt: record['Watched Date'] || (target === 'watched' ? record.Date : '')
+    }));
+  }
+
+  throw new ImportError('unrecognisedCsv');
+}
+
+// "The Lord of the Rings: The Fellowship..." and "the lord of the rings the fellowship..." compare equal
+const normalizeTitle = (title = '') => title
+  .normalize('NFKD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/&/g, 'and')
+  .replace(/[^a-z0-9]+/g, ' ')
+  .trim();
+
+// Resolves an import row to a movie: { status: 'matched' | 'ambiguous' | 'unmatched', movie, candidates }.
+// Exactly one search result with the same title and year is a match; anything less certain is
+// left for the user to pick from.
+async function matchImportRow(row, { findMovies, fetchDetailsInBackground }, signal) {
+  if (row.movie) return { status: 'matched', movie: row.movie, candidates: [] };
+
+  if (row.tmdbId) {
+    try {
+      return { status: 'matched', movie: await fetchDetailsInBackground(row.tmdbId, signal), candidates: [] };
+    } catch (err) {
+      // An id TMDB no longer knows still gets a title search below
+      if (isAbortError(err) || err.type !== 'not_found') throw err;
+    }
+  }
+
+  if (!row.title) return { status: 'unmatched', movie: null, candidates: [] };
+
+  const results = await findMovies(row.title, signal);
+  const sameYear = row.year ? results.filter(movie => releaseYear(movie) === String(row.year)) : results;
+  const title = normalizeTitle(row.title);
+  const exact = sameYear.filter(movie =>
+    normalizeTitle(movie.title) === title || normalizeTitle(movie.original_title) === title
+  );
+
+  if (exact.length === 1) return { status: 'matched', movie: exact[0], candidates: [] };
+  const candidates = (exact.length ? exact : sameYear).slice(0, MAX_MATCH_CANDIDATES);
+  return { status: candidates.length ? 'ambiguous' : 'unmatched', movie: null, candidates };
+}
+
+// Letterboxd and CSV dates are plain YYYY-MM-DD; anything unreadable counts as "now"
+const toIsoDate = (value) => {
+  const date = value ? new Date(value) : new Date();
+  return Number.isNaN(date.getTime()) ? new Date().toISOString() : date.toISOString();
+};
+
+const readFileText = (file) => new Promise((resolve, reject) => {
+  const reader = new FileReader();
+  reader.onload = () => resolve(reader.result);
+  reader.onerror = () => reject(reader.error);
+  reader.readAsText(file);
+});
+
+const downloadFile = (filename, content, type) => {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+};
+
+// Auth Service
+// Every auth backend exposes signup/login/getSession/logout and rejects with AuthError,
+// so AuthProvider works the same against the local mock server or a real API.
+const SESSION_STORAGE_KEY = `${STORAGE_PREFIX}:session`;
+const SESSION_TTL_MS = 1000 * 60 * 60 * 24 * 7;
+// setTimeout overflows past ~24.8 days
+const MAX_TIMEOUT_MS = 2147483647;
+
+// Their labels are the "auth.passwordRules.<id>" messages
+const PASSWORD_RULES = [
+  { id: 'length', test: password => password.length >= 8 },
+  { id: 'letter', test: password => /[A-Za-z]/.test(password) },
+  { id: 'number', test: password => /\d/.test(password) }
+];
+
+// The "auth.errors.<code>" message; `params.problems` lists the ids of the password rules that were broken
+function authErrorMessage(language, code, params = {}) {
+  const problems = params.problems
+    ?.map(id => translate(language, `auth.passwordRules.${id}`).toLocaleLowerCase(language))
+    .join(', ');
+  return translate(language, `auth.errors.${code}`, { ...params, ...(problems && { problems }) });
+}
+
+// `message` is the English text, for logs; screens show authErrorMessage in the viewer's language.
+// Errors from a real auth API have no code and carry the server's own message instead.
+class AuthError extends Error {
+  constructor(code, { field = null, params = {}, message } = {}) {
+    super(message || authErrorMessage(DEFAULT_LANGUAGE, code, params));
+    this.name = 'AuthError';
+    this.code = code;
+    this.field = field;
+    this.params = params;
+  }
+}
+
+const describeAuthError = (error, language) => (error instanceof AuthError && error.code
+  ? authErrorMessage(language, error.code, error.params)
+  : error.message);
+
+// Returns the ids of every rule the password breaks (empty when it is strong enough)
+const getPasswordProblems = (password) =>
+  PASSWORD_RULES.filter(rule => !rule.test(password)).map(rule => rule.id);
+
+function validateCredentials(username, password) {
+  if (!/^[A-Za-z0-9_]{3,20}$/.test(username)) {
+    throw new AuthError('invalidUsername', { field: 'username' });
+  }
+  const problems = getPasswordProblems(password);
+  if (problems.length > 0) {
+    throw new AuthError('weakPassword', { field: 'password', params: { problems } });
+  }
+}
+
+// Not a real password hash: the mock server only needs to avoid keeping passwords in plain text
+const mockHash = (value) => {
+  let hash = 5381;
+  for (let i = 0; i < value.length; i++) {
+    hash = ((hash << 5) + hash + value.charCodeAt(i)) | 0;
+  }
+  return (hash >>> 0).toString(16);
+};
+
+const createToken = () =>
+  `${Date.now().toString(36)}.${Math.random().toString(36).slice(2)}${Math.random().toString(36).slice(2)}`;
+
+// In-browser stand-in for an auth API, used for development and tests. Accounts and
+// sessions are kept in `storage` so they survive reloads like a real backend would.
+function createMockAuthServer({ storage = localStorage, sessionTtl = SESSION_TTL_MS, delay = 300 } = {}) {
+  const ACCOUNTS_KEY = `${STORAGE_PREFIX}:mock-auth:accounts`;
+  const SESSIONS_KEY = `${STORAGE_PREFIX}:mock-auth:sessions`;
+
+  // Unreadable records count as empty, like readUserData's fallback
+  const read = (key) => {
+    try {
+      const data = JSON.parse(storage.getItem(key) || '{}');
+      return data && typeof data === 'object' ? data : {};
+    } catch (err) {
+      return {};
+    }
+  };
+  const write = (key, value) => storage.setItem(key, JSON.stringify(value));
+
+  // Resolve or reject after `delay` to behave like a network round trip
+  const respond = (handler) => new Promise((resolve, reject) => {
+    setTimeout(() => {
+      try {
+        resolve(handler());
+      } catch (err) {
+        reject(err);
+      }
+    }, delay);
+  });
+
+  const startSession = (username) => {
+    const sessions = read(SESSIONS_KEY);
+    const session = { token: createToken(), user: username, expiresAt: Date.now() + sessionTtl };
+    sessions[session.token] = { user: session.user, expiresAt: session.expiresAt };
+    write(SESSIONS_KEY, sessions);
+    return session;
+  };
+
+  return {
+    name: 'mock',
+    signup: (username, password) => respond(() => {
+      validateCredentials(username, password);
+      const accounts = read(ACCOUNTS_KEY);
+      const key = username.toLowerCase();
+      if (accounts[key]) {
+        throw new AuthError('usernameTaken', { field: 'username' });
+      }
+      accounts[key] = { username, passwordHash: mockHash(`${key}:${password}`), createdAt: Date.now() };
+      write(ACCOUNTS_KEY, accounts);
+      return startSession(username);
+    }),
+    login: (username, password) => respond(() => {
+      const account = read(ACCOUNTS_KEY)[username.toLowerCase()];
+      if (!account || account.passwordHash !== mockHash(`${username.toLowerCase()}:${password}`)) {
+        throw new AuthError('wrongCredentials');
+      }
+      return startSession(account.username);
+    }),
+    getSession: (token) => respond(() => {
+      const session = read(SESSIONS_KEY)[token];
+      if (!session || session.expiresAt <= Date.now()) {
+        throw new AuthError('sessionExpired');
+      }
+      return { token, ...session };
+    }),
+    logout: (token) => respond(() => {
+      const sessions = read(SESSIONS_KEY);
+      delete sessions[token];
+      write(SESSIONS_KEY, sessions);
+    })
+  };
+}
+
+// Client for a real auth API exposing the same four operations
+function createHttpAuthService({ baseUrl }) {
+  const request = async (method, path, data, token) => {
+    try {
+      const response = await axios({
+        method,
+        url: `${baseUrl}${path}`,
+        data,
+        headers: token ? { Authorization: `Bearer ${token}` } : {}
+      });
+      return response.data;
+    } catch (err) {
+      const body = err.response?.data;
+      if (body?.message) throw new AuthError(null, { field: body.field || null, message: body.message });
+      throw new AuthError('unreachable');
+    }
+  };
+
+  return {
+    name: 'http',
+    signup: (username, password) => {
+      validateCredentials(username, password);
+      return request('post', '/signup', { username, password });
+    },
+    login: (username, password) => request('post', '/login', { username, password }),
+    getSession: (token) => request('get', '/session', undefined, token),
+    logout: (token) => request('post', '/logout', undefined, token)
+  };
+}
+
+// REACT_APP_AUTH_URL switches to a real auth API; otherwise the mock server is used
+function createAuthService(baseUrl = process.env.REACT_APP_AUTH_URL) {
+  if (baseUrl) return createHttpAuthService({ baseUrl });
+  return createMockAuthServer({ delay: process.env.NODE_ENV === 'test' ? 0 : 300 });
+}
+
+const defaultAuthService = createAuthService();
+
+const readStoredSession = () => {
+  try {
+    return JSON.parse(localStorage.getItem(SESSION_STORAGE_KEY));
+  } catch (err) {
+    return null;
+  }
+};
+
+// Contexts
+const AuthContext = createContext();
+const MovieContext = createContext();
+const ThemeContext = createContext();
+const I18nContext = createContext();
+
+// Hooks
+function useDebouncedValue(value, delay) {
+  const [debounced, setDebounced] = useState(value);
+
+  useEffect(() => {
+    if (value === debounced) return undefined;
+    const timeout = setTimeout(() => setDebounced(value), delay);
+    return () => clearTimeout(timeout);
+  }, [value, delay, debounced]);
+
+  return debounced;
+}
+
+// Whether a media query matches, kept up to date as it changes (false where matchMedia is missing)
+function useMediaQuery(query) {
+  const [matches, setMatches] = useState(() => typeof window.matchMedia === 'function' && window.matchMedia(query).matches);
+
+  useEffect(() => {
+    if (typeof window.matchMedia !== 'function') return undefined;
+    const list = window.matchMedia(query);
+    const update = () => setMatches(list.matches);
+    update();
+    list.addEventListener('change', update);
+    return () => list.removeEventListener('change', update);
+  }, [query]);
+
+  return matches;
+}
+
+// Calls `save(owner, value, previous)` after each change to a piece of per-user state. The copy
+// loaded when `owner` changes is not written back, so a record that couldn't be read stays as it was.
+function usePersistedChanges(owner, value, save) {
+  const last = useRef({ owner, value });
+
+  useEffect(() => {
+    const previous = last.current;
+    last.current = { owner, value };
+    if (previous.owner === owner && previous.value !== value) save(owner, value, previous.value);
+  }, [owner, value, save]);
+}
+
+// Dialog behaviour for modals: focus moves into `ref` when it mounts, Tab and Shift+Tab stay
+// inside it, Escape calls `onClose`, and focus returns to whatever had it once the dialog unmounts
+const FOCUSABLE_SELECTOR = 'a[href], button:not([disabled]), input:not([disabled]), select:not([disabled]), textarea:not([disabled]), iframe, [tabindex]:not([tabindex="-1"])';
+
+function useDialogFocus(ref, onClose) {
+  const onCloseRef = useRef(onClose);
+  onCloseRef.current = onClose;
+
+  useEffect(() => {
+    const dialog = ref.current;
+    if (!dialog) return;
+    const previouslyFocused = document.activeElement;
+    const focusables = () => [...dialog.querySelectorAll(FOCUSABLE_SELECTOR)];
+    (focusables()[0] || dialog).focus();
+
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') {
+        e.preventDefault();
+        onCloseRef.current();
+        return;
+      }
+      if (e.key !== 'Tab') return;
+      const items = focusables();
+      if (items.length === 0) {
+        e.preventDefault();
+        return;
+      }
+      const first = items[0];
+      const last = items[items.length - 1];
+      if (e.shiftKey && (document.activeElement === first || !dialog.contains(document.activeElement))) {
+        e.preventDefault();
+        last.focus();
+      } else if (!e.shiftKey && (document.activeElement === last || !dialog.contains(document.activeElement))) {
+        e.preventDefault();
+        first.focus();
+      }
+    };
+
+    document.addEventListener('keydown', handleKeyDown);
+    return () => {
+      document.removeEventListener('keydown', handleKeyDown);
+      previouslyFocused?.focus?.();
+    };
+  }, [ref]);
+}
+
+// Providers
+// The UI language, saved per user like the theme. `t` translates catalog keys; `formatDate` and
+// `formatRuntime` format with Intl in the same language. The page's `lang` and `dir` follow it,
+// so Arabic and Hebrew lay out right to left.
+function I18nProvider({ children }) {
+  const { user } = useContext(AuthContext);
+  const [language, setLanguageState] = useState(defaultLanguage);
+  const [languageOwner, setLanguageOwner] = useState(null);
+
+  if (user !== languageOwner) {
+    setLanguageOwner(user);
+    setLanguageState(loadLanguage(user));
+  }
+
+  const setLanguage = useCallback((value) => {
+    setLanguageState(value);
+    saveLanguage(user, value);
+  }, [user]);
+
+  const dir = LANGUAGES.find(option => option.code === language)?.dir || 'ltr';
+
+  useEffect(() => {
+    document.documentElement.lang = language;
+    document.documentElement.dir = dir;
+  }, [language, dir]);
+
+  // Stable for a given language, so consumers and effects that use `t` only update when it changes
+  const t = useCallback((key, params) => translate(language, key, params), [language]);
+  const formatLocalDate = useCallback((date, options) => formatDate(date, language, options), [language]);
+  const formatLocalRuntime = useCallback((minutes) => formatRuntime(minutes, language), [language]);
+  const value = useMemo(() => ({
+    language,
+    setLanguage,
+    dir,
+    t,
+    formatDate: formatLocalDate,
+    formatRuntime: formatLocalRuntime
+  }), [language, setLanguage, dir, t, formatLocalDate, formatLocalRuntime]);
+
+  return (
+    <I18nContext.Provider value={value}>
+      {children}
+    </I18nContext.Provider>
+  );
+}
+
+// `preference` is what the user picked (saved per user); `theme` is the palette actually in use,
+// which for "system" follows prefers-color-scheme as it changes. Anonymous visitors follow the system.
+function ThemeProviderWrapper({ children }) {
+  const { user } = useContext(AuthContext);
+  const [preference, setPreferenceState] = useState('system');
+  const [preferenceOwner, setPreferenceOwner] = useState(null);
+  const systemPrefersDark = useMediaQuery('(prefers-color-scheme: dark)');
+
+  // Swapped during render, like MovieProvider's per-user data, so the previous user's theme never flashes
+  if (user !== preferenceOwner) {
+    setPreferenceOwner(user);
+    setPreferenceState(loadThemePreference(user));
+  }
+
+  const setPreference = (value) => {
+    setPreferenceState(value);
+    saveThemePreference(user, value);
+  };
+
+  const systemTheme = systemPrefersDark ? 'dark' : 'light';
+  const theme = preference === 'system' ? systemTheme : preference;
+
+  return (
+    <ThemeContext.Provider value={{ theme, preference, setPreference }}>
+      <ThemeProvider theme={THEMES[theme]}>
+        <GlobalStyle />
+        {children}
+      </ThemeProvider>
+    </ThemeContext.Provider>
+  );
+}
+
+function AuthProvider({ children, authService = defaultAuthService }) {
+  const [user, setUser] = useState(null);
+  const [session, setSession] = useState(null);
+  // Only a stored session has to be checked before protected pages can decide what to show
+  const [authReady, setAuthReady] = useState(() => !readStoredSession()?.token);
+  const [authNotice, setAuthNotice] = useState(null);
+  const [showAuthModal, setShowAuthModal] = useState(false);
+  const [authMode, setAuthMode] = useState('login');
+  const location = useLocation();
+  const navigate = useNavigate();
+
+  const startSession = (newSession) => {
+    localStorage.setItem(SESSION_STORAGE_KEY, JSON.stringify(newSession));
+    setSession(newSession);
+    setUser(newSession.user);
+    setAuthNotice(null);
+    setShowAuthModal(false);
+
+    // RequireAuth bounced the user here from a protected page: send them back to it
+    const from = location.state?.from;
+    if (from) navigate(`${from.pathname}${from.search}${from.hash}`, { replace: true });
+  };
+
+  const endSession = useCallback((notice = null) => {
+    localStorage.removeItem(SESSION_STORAGE_KEY);
+    setSession(null);
+    setUser(null);
+    setAuthNotice(notice);
+  }, []);
+
+  // Both reject with an AuthError for AuthModal to show
+  const login = async (username, password) => {
+    startSession(await authService.login(username.trim(), password));
+  };
+
+  const signup = async (username, password) => {
+    startSession(await authService.signup(username.trim(), password));
+  };
+
+  // Leave protected pages explicitly so RequireAuth doesn't treat logging out as a login request
+  const logout = () => {
+    if (session) authService.logout(session.token).catch(() => {});
+    endSession();
+    navigate('/', { replace: true });
+  };
+
+  const openAuthModal = useCallback((mode) => {
+    setAuthMode(mode);
+    setShowAuthModal(true);
+  }, []);
+
+  // Sends the user back to the login form with an explanation (an AuthError) instead of silently logging out
+  const expireSession = useCallback((reason) => {
+    endSession(reason);
+    setAuthMode('login');
+    setShowAuthModal(true);
+  }, [endSession]);
+
+  // Restore the stored session on startup, dropping it if it has expired or the server rejects it
+  useEffect(() => {
+    const stored = readStoredSession();
+    if (!stored?.token) return undefined;
+    if (stored.expiresAt <= Date.now()) {
+      expireSession(new AuthError('sessionExpired'));
+      setAuthReady(true);
+      return undefined;
+    }
+
+    let cancelled = false;
+    authService.getSession(stored.token)
+      .then(verified => {
+        if (cancelled) return;
+        setSession({ ...stored, ...verified });
+        setUser(verified.user);
+      })
+      .catch(err => {
+        if (!cancelled) expireSession(err);
+      })
+      .finally(() => {
+        if (!cancelled) setAuthReady(true);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [authService, expireSession]);
+
+  // Log out as soon as the session runs out, not just on the next reload
+  useEffect(() => {
+    if (!session) return;
+    const timeout = setTimeout(() => {
+      expireSession(new AuthError('sessionExpired'));
+    }, Math.min(MAX_TIMEOUT_MS, Math.max(0, session.expiresAt - Date.now())));
+    return () => clearTimeout(timeout);
+  }, [session, expireSession]);
+
+  return (
+    <AuthContext.Provider value={{ 
+      user, 
+      authReady,
+      authNotice,
+      login, 
+      signup,
+      logout, 
+      showAuthModal, 
+      setShowAuthModal,
+      openAuthModal,
+      authMode
+    }}>
+      {children}
+    </AuthContext.Provider>
+  );
+}
+
+function MovieProvider({ children, dataSource = defaultDataSource }) {
+  const { user } = useContext(AuthContext);
+  const [movies, setMovies] = useState([]);
+  const [feed, setFeed] = useState(DEFAULT_FEED);
+  const [feeds, setFeeds] = useState({});
+  const [currentMovie, setCurrentMovie] = useState(null);
+  const [searchQuery, setSearchQuery] = useState('');
+  const [isLoading, setIsLoading] = useState(false);
+  const [isLoadingMore, setIsLoadingMore] = useState(false);
+  const [searchError, setSearchError] = useState(null);
+  const [movieLists, setMovieLists] = useState(() => Object.fromEntries(MOVIE_LISTS.map(name => [name, []])));
+  const [collections, setCollections] = useState([]);
+  const [ratings, setRatings] = useState({});
+  const [searchHistory, setSearchHistory] = useState([]);
+  const [settings, setSettings] = useState(defaultSettings);
+  // Movies picked for comparison; only kept for the session, unlike the saved lists
+  const [compareList, setCompareList] = useState([]);
+  const [dataOwner, setDataOwner] = useState(null);
+  const [searchPage, setSearchPage] = useState({ page: 0, totalPages: 1 });
+  const [genres, setGenres] = useState([]);
+  const genresRequested = useRef(null);
+  const searchController = useRef(null);
+  const loadingMoreRef = useRef(false);
+  const scrollPositions = useRef({});
+  const feedsLoaded = useRef(new Set());
+  // Payloads come back in the viewer's language, with release dates for their watch region
+  const { language } = useContext(I18nContext);
+  const contentLocale = `${language}-${settings.region}`;
+  const source = useMemo(
+    () => withLocale(dataSource, { language, region: settings.region }),
+    [dataSource, language, settings.region]
+  );
+
+  // With the response cache in front of the data source, `onRevalidate` receives the fresh
+  // payload when a stale cached one was returned first. Failures reject with a MovieApiError.
+  const fetchFeed = useCallback(async (feedId, page = 1, { onRevalidate } = {}) => {
+    try {
+      return await source.getFeed(feedId, page, { onRevalidate });
+    } catch (err) {
+      throw toMovieApiError(err);
+    }
+  }, [source]);
+
+  // Each feed keeps its own movies, pages, loading state and error, so switching tabs is instant
+  // and a failing feed doesn't affect the others
+  const updateFeed = useCallback((feedId, changes) => {
+    setFeeds(prev => {
+      const current = prev[feedId] || EMPTY_FEED;
+      return { ...prev, [feedId]: { ...current, ...(typeof changes === 'function' ? changes(current) : changes) } };
+    });
+  }, []);
+
+  // Details already in the cache, for rendering a detail page without a loading state
+  const getCachedMovieDetails = useCallback(
+    (id) => source.peek?.('getMovieDetails', String(id)),
+    [source]
+  );
+
+  const fetchMovieDetails = useCallback(async (id, { onRevalidate } = {}) => {
+    const cached = Boolean(getCachedMovieDetails(id));
+    try {
+      if (!cached) setIsLoading(true);
+      return await source.getMovieDetails(String(id), { onRevalidate });
+    } catch (err) {
+      throw toMovieApiError(err);
+    } finally {
+      if (!cached) setIsLoading(false);
+    }
+  }, [source, getCachedMovieDetails]);
+
+  const fetchSearchResults = useCallback((query, page = 1, signal) =>
+    source.searchMovies(query, page, { signal }).catch(err => {
+      throw toMovieApiError(err);
+    }), [source]);
+
+  // Only the latest search may update the results: starting a new one (or clearing)
+  // aborts whatever request the previous search or its loadMore still has in flight
+  const startSearchRequest = useCallback(() => {
+    searchController.current?.abort();
+    searchController.current = new AbortController();
+    return searchController.current.signal;
+  }, []);
+
+  usePersistedChanges(dataOwner, searchHistory, saveSearchHistory);
+
+  // Top matches for the type-ahead dropdown; callers pass their own signal to drop stale lookups
+  const fetchSuggestions = useCallback(async (query, signal) => {
+    const data = await source.searchMovies(query, 1, { signal });
+    return data.results.slice(0, MAX_SUGGESTIONS);
+  }, [source]);
+
+  // The detail payload (and its cache entry) without the detail page's loading state, for the
+  // pieces other screens borrow from it: recommendations, videos for list cards' Trailer buttons,
+  // and import rows that name a TMDB id
+  const fetchDetailsInBackground = useCallback(async (id, signal) => {
+    try {
+      return await source.getMovieDetails(String(id), { signal });
+    } catch (err) {
+      throw toMovieApiError(err);
+    }
+  }, [source]);
+
+  const fetchRecommendations = useCallback(async (id, signal) => {
+    const data = await fetchDetailsInBackground(id, signal);
+    return data.recommendations?.results || [];
+  }, [fetchDetailsInBackground]);
+
+  const fetchMovieVideos = useCallback(async (id, signal) => {
+    const data = await fetchDetailsInBackground(id, signal);
+    return data.videos || { results: [] };
+  }, [fetchDetailsInBackground]);
+
+  const fetchPerson = useCallback(async (id, { onRevalidate } = {}) => {
+    try {
+      return await source.getPerson(String(id), { onRevalidate });
+    } catch (err) {
+      throw toMovieApiError(err);
+    }
+  }, [source]);
+
+  // Full first page of a title search, for matching imported rows
+  const findMovies = useCallback(async (query, signal) => {
+    try {
+      const data = await source.searchMovies(query, 1, { signal });
+      return data.results;
+    } catch (err) {
+      throw toMovieApiError(err);
+    }
+  }, [source]);
+
+  // The genre list only changes with the language, so it is fetched once per language and shared
+  const loadGenres = useCallback(async () => {
+    if (genresRequested.current === contentLocale) return;
+    genresRequested.current = contentLocale;
+    try {
+      const data = await source.getGenres();
+      setGenres(data.genres);
+    } catch (err) {
+      genresRequested.current = null;
+      throw toMovieApiError(err);
+    }
+  }, [source, contentLocale]);
+
+  const discoverMovies = useCallback(async (filters, page = 1) => {
+    try {
+      return await source.discoverMovies(filters, page);
+    } catch (err) {
+      throw toMovieApiError(err);
+    }
+  }, [source]);
+
+  // The streaming services and stores TMDB knows about in `region`
+  const fetchWatchProviders = useCallback(async (region, signal) => {
+    try {
+      const data = await source.getWatchProviders(region, { signal });
+      return data.results;
+    } catch (err) {
+      throw toMovieApiError(err);
+    }
+  }, [source]);
+
+  // `pages` > 1 reloads every page up to that one, e.g. for a shared ?q=alien&page=3 link
+  const searchMovies = useCallback(async (query, pages = 1) => {
+    const signal = startSearchRequest();
+    setSearchHistory(prev => addToSearchHistory(prev, query));
+    try {
+      setIsLoading(true);
+      setSearchError(null);
+      setSearchQuery(query);
+      setSearchPage({ page: 0, totalPages: 1 });
+      let results = [];
+      let data;
+      for (let page = 1; page <= pages; page++) {
+        data = await fetchSearchResults(query, page, signal);
+        results = mergeUniqueMovies(results, data.results);
+        if (page >= data.total_pages) break;
+      }
+      setMovies(results);
+      setSearchPage({ page: data.page, totalPages: data.total_pages });
+    } catch (err) {
+      if (!isAbortError(err)) {
+        setMovies([]);
+        setSearchError(err);
+      }
+    } finally {
+      if (!signal.aborted) setIsLoading(false);
+    }
+  }, [startSearchRequest, fetchSearchResults]);
+
+  const clearSearch = useCallback(() => {
+    searchController.current?.abort();
+    setIsLoading(false);
+    setSearchError(null);
+    setSearchQuery('');
+    setMovies([]);
+    setSearchPage({ page: 0, totalPages: 1 });
+  }, []);
+
+  const activeFeed = feeds[feed] || EMPTY_FEED;
+
+  // Loads the next page of whichever list is on screen (search results or the current feed)
+  const loadMore = useCallback(async () => {
+    const current = searchQuery ? searchPage : activeFeed;
+    if (loadingMoreRef.current || current.page >= current.totalPages) return;
+
+    loadingMoreRef.current = true;
+    setIsLoadingMore(true);
+    const feedId = feed;
+    const setListError = searchQuery ? setSearchError : (error) => updateFeed(feedId, { error });
+    setListError(null);
+    try {
+      const nextPage = current.page + 1;
+      if (searchQuery) {
+        const data = await fetchSearchResults(searchQuery, nextPage, searchController.current?.signal);
+        setMovies(prev => mergeUniqueMovies(prev, data.results));
+        setSearchPage({ page: data.page, totalPages: data.total_pages });
+      } else {
+        const data = await fetchFeed(feedId, nextPage);
+        updateFeed(feedId, prev => ({
+          movies: mergeUniqueMovies(prev.movies, data.results),
+          page: data.page,
+          totalPages: data.total_pages
+        }));
+      }
+    } catch (err) {
+      if (!isAbortError(err)) setListError(err);
+    } finally {
+      loadingMoreRef.current = false;
+      setIsLoadingMore(false);
+    }
+  }, [searchQuery, searchPage, activeFeed, feed, fetchSearchResults, fetchFeed, updateFeed]);
+
+  const saveScrollPosition = useCallback((key, position) => {
+    scrollPositions.current[key] = position;
+  }, []);
+
+  const getScrollPosition = useCallback((key) => scrollPositions.current[key] || 0, []);
+
+  // Applies `update` to all movie lists at once; the ones that changed are saved once it renders
+  const updateMovieLists = (update) => setMovieLists(update);
+  usePersistedChanges(dataOwner, movieLists, saveMovieLists);
+
+  const toggleFavorite = (movie) => {
+    updateMovieLists(lists => ({
+      ...lists,
+      favorites: isInList(lists.favorites, movie)
+        ? withoutMovie(lists.favorites, movie)
+        : [...lists.favorites, toMovieSummary(movie)]
+    }));
+  };
+
+  const toggleWatchlist = (movie) => {
+    updateMovieLists(lists => ({
+      ...lists,
+      watchlist: isInList(lists.watchlist, movie)
+        ? withoutMovie(lists.watchlist, movie)
+        : [...lists.watchlist, toMovieSummary(movie)]
+    }));
+  };
+
+  // Watching a movie records the date and takes it off the watchlist; toggling again forgets it
+  const toggleWatched = (movie) => {
+    updateMovieLists(lists => (isInList(lists.watched, movie)
+      ? { ...lists, watched: withoutMovie(lists.watched, movie) }
+      : {
+        ...lists,
+        watched: [{ ...toMovieSummary(movie), watchedAt: new Date().toISOString() }, ...lists.watched],
+        watchlist: withoutMovie(lists.watchlist, movie)
+      }));
+  };
+
+  // Full trays ignore new movies; the cards disable their Compare button instead
+  const toggleCompare = (movie) => {
+    setCompareList(prev => {
+      if (isInList(prev, movie)) return withoutMovie(prev, movie);
+      return prev.length < MAX_COMPARE ? [...prev, toMovieSummary(movie)] : prev;
+    });
+  };
+
+  const clearCompare = () => setCompareList([]);
+
+  const updateCollections = (update) => setCollections(update);
+  usePersistedChanges(dataOwner, collections, saveCollections);
+
+  const updateCollection = (id, update) => {
+    updateCollections(prev => prev.map(collection => (collection.id === id ? update(collection) : collection)));
+  };
+
+  // Returns the new collection's id so callers can add to it or link to it straight away
+  const createCollection = (name, movies = []) => {
+    const id = createCollectionId();
+    updateCollections(prev => [
+      ...prev,
+      { id, name: name.trim(), createdAt: new Date().toISOString(), movies: movies.map(toMovieSummary) }
+    ]);
+    return id;
+  };
+
+  const renameCollection = (id, name) => {
+    updateCollection(id, collection => ({ ...collection, name: name.trim() }));
+  };
+
+  const deleteCollection = (id) => {
+    updateCollections(prev => prev.filter(collection => collection.id !== id));
+  };
+
+  const toggleInCollection = (id, movie) => {
+    updateCollection(id, collection => ({
+      ...collection,
+      movies: isInList(collection.movies, movie)
+        ? withoutMovie(collection.movies, movie)
+        : [...collection.movies, toMovieSummary(movie)]
+    }));
+  };
+
+  const moveInCollection = (id, from, to) => {
+    updateCollection(id, collection => ({ ...collection, movies: moveItem(collection.movies, from, to) }));
+  };
+
+  const updateRatings = (update) => setRatings(update);
+  usePersistedChanges(dataOwner, ratings, saveRatings);
+
+  // `rating` of null clears it (the note, if any, is kept)
+  const rateMovie = (movie, rating) => {
+    updateRatings(prev => withRatingEntry(prev, movie, { rating: rating === null ? null : clampRating(rating) }));
+  };
+
+  const saveNote = (movie, note) => {
+    updateRatings(prev => withRatingEntry(prev, movie, { note }));
+  };
+
+  // Writes matched import rows ({ list, collection, movie, rating, note, watchedAt }): movies are
+  // added to their list or collection unless already there, ratings and notes overwrite existing ones
+  const importMovies = (entries) => {
+    updateMovieLists(lists => {
+      const next = { ...lists };
+      entries.forEach(({ list, movie, watchedAt }) => {
+        if (!MOVIE_LISTS.includes(list) || isInList(next[list], movie)) return;
+        const summary = list === 'watched'
+          ? { ...toMovieSummary(movie), watchedAt: toIsoDate(watchedAt) }
+          : toMovieSummary(movie);
+        next[list] = [...next[list], summary];
+      });
+      if (next.watched !== lists.watched) {
+        next.watched = [...next.watched].sort((a, b) => b.watchedAt.localeCompare(a.watchedAt));
+      }
+      return next;
+    });
+
+    const collected = entries.filter(entry => entry.list === 'collection' && entry.collection?.trim());
+    if (collected.length) {
+      updateCollections(prev => collected.reduce((next, { collection: name, movie }) => {
+        const existing = next.find(collection => normalizeQuery(collection.name) === normalizeQuery(name));
+        if (!existing) {
+          return [...next, {
+            id: createCollectionId(),
+            name: name.trim(),
+            createdAt: new Date().toISOString(),
+            movies: [toMovieSummary(movie)]
+          }];
+        }
+        if (isInList(existing.movies, movie)) return next;
+        return next.map(collection => (collection === existing
+          ? { ...collection, movies: [...collection.movies, toMovieSummary(movie)] }
+          : collection));
+      }, prev));
+    }
+
+    const rated = entries.filter(entry => entry.rating || entry.note);
+    if (rated.length) {
+      updateRatings(prev => rated.reduce((next, { movie, rating, note }) => withRatingEntry(next, movie, {
+        ...(rating ? { rating: clampRating(rating) } : {}),
+        ...(note ? { note } : {})
+      }), prev));
+    }
+  };
+
+  const removeFromSearchHistory = (query) => {
+    setSearchHistory(prev => prev.filter(entry => normalizeQuery(entry.query) !== normalizeQuery(query)));
+  };
+
+  const clearSearchHistory = () => setSearchHistory([]);
+
+  const updateSettings = (changes) => setSettings(prev => ({ ...prev, ...changes }));
+  usePersistedChanges(dataOwner, settings, saveSettings);
+
+  // Lists, collections, ratings, history and settings belong to whoever is logged in: swap them when the user changes, clear them on logout.
+  // This runs during render (not in an effect) so children never see, or write over, the previous user's data.
+  if (user !== dataOwner) {
+    setDataOwner(user);
+    setMovieLists(Object.fromEntries(MOVIE_LISTS.map(name => [name, loadMovieList(user, name)])));
+    setSearchHistory(loadSearchHistory(user));
+    setCollections(loadCollections(user));
+    setRatings(loadRatings(user));
+    setSettings(loadSettings(user));
+    setCompareList([]);
+  }
+
+  // `refresh` is for a feed already loaded in this language: it shows no loading state, and a
+  // failed refresh leaves the list as it was
+  const loadFeed = useCallback(async (feedId, { refresh = false } = {}) => {
+    // A refreshed first page goes on top; later pages that are already loaded stay below it
+    const mergeFirstPage = fresh => updateFeed(feedId, prev => ({ movies: mergeUniqueMovies(fresh.results, prev.movies) }));
+    if (!refresh) updateFeed(feedId, { loading: true, error: null });
+    try {
+      const data = await fetchFeed(feedId, 1, { onRevalidate: mergeFirstPage });
+      if (refresh) {
+        mergeFirstPage(data);
+      } else {
+        updateFeed(feedId, { movies: mergeUniqueMovies([], data.results), page: data.page, totalPages: data.total_pages });
+        feedsLoaded.current.add(`${contentLocale}:${feedId}`);
+      }
+    } catch (err) {
+      if (!refresh) updateFeed(feedId, { error: err });
+    } finally {
+      if (!refresh) updateFeed(feedId, { loading: false });
+    }
+  }, [fetchFeed, updateFeed, contentLocale]);
+
+  // Retries whatever failed on the list on screen: the first page, or the page loadMore was after
+  const retry = () => {
+    const current = searchQuery ? searchPage : activeFeed;
+    if (current.page > 0) return loadMore();
+    return searchQuery ? searchMovies(searchQuery) : loadFeed(feed);
+  };
+
+  // A feed is loaded from scratch the first time it is shown in each language. Switching back to it
+  // refreshes it: the cache answers at once and revalidates a stale first page in the background.
+  // Anonymous visitors only see the welcome page, so nothing is loaded until someone logs in.
+  useEffect(() => {
+    if (!user) return;
+    loadFeed(feed, { refresh: feedsLoaded.current.has(`${contentLocale}:${feed}`) });
+  }, [user, feed, loadFeed, contentLocale]);
+
+  // Search results on screen came back in the previous language; fetch them again in the new one
+  const searchLocale = useRef(contentLocale);
+  useEffect(() => {
+    if (searchLocale.current === contentLocale) return;
+    searchLocale.current = contentLocale;
+    if (searchQuery) searchMovies(searchQuery);
+  }, [contentLocale, searchQuery, searchMovies]);
+
+  return (
+    <MovieContext.Provider value={{
+      movies,
+      feed,
+      setFeed,
+      feedMovies: activeFeed.movies,
+      feedLoading: activeFeed.loading,
+      searchQuery,
+      isLoading,
+      isLoadingMore,
+      // Errors belong to the list on screen, so a failed search never shows up on a feed (or vice versa)
+      error: searchQuery ? searchError : activeFeed.error,
+      retry,
+      searchMovies,
+      clearSearch,
+      page: searchQuery ? searchPage.page : activeFeed.page,
+      totalPages: searchQuery ? searchPage.totalPages : activeFeed.totalPages,
+      loadMore,
+      saveScrollPosition,
+      getScrollPosition,
+      fetchMovieDetails,
+      getCachedMovieDetails,
+      fetchDetailsInBackground,
+      fetchPerson,
+      fetchRecommendations,
+      fetchMovieVideos,
+      genres,
+      loadGenres,
+      discoverMovies,
+      fetchSuggestions,
+      favorites: movieLists.favorites,
+      watchlist: movieLists.watchlist,
+      watched: movieLists.watched,
+      toggleFavorite,
+      toggleWatchlist,
+      toggleWatched,
+      collections,
+      createCollection,
+      renameCollection,
+      deleteCollection,
+      toggleInCollection,
+      moveInCollection,
+      ratings,
+      rateMovie,
+      saveNote,
+      importMovies,
+      findMovies,
+      searchHistory,
+      removeFromSearchHistory,
+      clearSearchHistory,
+      settings,
+      updateSettings,
+      fetchWatchProviders,
+      compareList,
+      toggleCompare,
+      clearCompare
+    }}>
+      {children}
+    </MovieContext.Provider>
+  );
+}
+
+// Components
+// AuthModal stays mounted while hidden, so the dialog behaviour (focus trap, Escape, focus
+// restore) lives in this child, which mounts each time the modal opens
+function AuthDialog({ labelledBy, onClose, children }) {
+  const dialogRef = useRef(null);
+  useDialogFocus(dialogRef, onClose);
+
+  return (
+    <AuthModalContent ref={dialogRef} role="dialog" aria-modal="true" aria-labelledby={labelledBy} tabIndex={-1}>
+      {children}
+    </AuthModalContent>
+  );
+}
+
+function AuthModal() {
+  const theme = useTheme();
+  const { login, signup, showAuthModal, setShowAuthModal, authMode, openAuthModal, authNotice } = useContext(AuthContext);
+  const { language, t } = useContext(I18nContext);
+  const [username, setUsername] = useState('');
+  const [password, setPassword] = useState('');
+  const [confirmPassword, setConfirmPassword] = useState('');
+  const [error, setError] = useState(null);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const isSignup = authMode === 'signup';
+  const passwordProblems = isSignup && password ? getPasswordProblems(password) : [];
+
+  // Start from a clean form whenever the modal opens or switches between login and sign up
+  useEffect(() => {
+    setPassword('');
+    setConfirmPassword('');
+    setError(null);
+  }, [showAuthModal, authMode]);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (isSignup && password !== confirmPassword) {
+      setError(new AuthError('passwordMismatch', { field: 'confirmPassword' }));
+      return;
+    }
+
+    setIsSubmitting(true);
+    setError(null);
+    try {
+      if (isSignup) {
+        await signup(username, password);
+      } else {
+        await login(username, password);
+      }
+    } catch (err) {
+      setError(err);
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  if (!showAuthModal) return null;
+
+  return (
+    <ModalOverlay>
+      <AuthDialog labelledBy="auth-modal-title" onClose={() => setShowAuthModal(false)}>
+        <h2 id="auth-modal-title">{isSignup ? t('auth.signup') : t('auth.login')}</h2>
+        {authNotice && !error && (
+          <p style={{ color: theme.notice, margin: '0.5rem 0 0' }}>{describeAuthError(authNotice, language)}</p>
+        )}
+        <AuthForm onSubmit={handleSubmit} aria-label={isSignup ? t('auth.signupForm') : t('auth.loginForm')} noValidate>
+          <AuthInput
+            type="text"
+            placeholder={t('auth.username')}
+            aria-label={t('auth.username')}
+            autoComplete="username"
+            value={username}
+            onChange={(e) => setUsername(e.target.value)}
+            aria-invalid={error?.field === 'username'}
+            required
+          />
+          <AuthInput
+            type="password"
+            placeholder={t('auth.password')}
+            aria-label={t('auth.password')}
+            aria-describedby={isSignup ? 'password-rules' : undefined}
+            autoComplete={isSignup ? 'new-password' : 'current-password'}
+            value={password}
+            onChange={(e) => setPassword(e.target.value)}
+            aria-invalid={error?.field === 'password'}
+            required
+          />
+          {isSignup && (
+            <>
+              <AuthInput
+                type="password"
+                placeholder={t('auth.confirmPassword')}
+                aria-label={t('auth.confirmPassword')}
+                autoComplete="new-password"
+                value={confirmPassword}
+                onChange={(e) => setConfirmPassword(e.target.value)}
+                aria-invalid={error?.field === 'confirmPassword'}
+                required
+              />
+              <ul id="password-rules" style={{ margin: 0, paddingLeft: '1.2rem', fontSize: '0.9rem' }}>
+                {PASSWORD_RULES.map(rule => (
+                  <li 
+                    key={rule.id} 
+                    style={{ color: password && !passwordProblems.includes(rule.id) ? theme.success : theme.modalMutedText }}
+                  >
+                    {t(`auth.passwordRules.${rule.id}`)}
+                  </li>
+                ))}
+              </ul>
+            </>
+          )}
+          {error && (
+            <p role="alert" style={{ color: theme.modalError, margin: 0 }}>{describeAuthError(error, language)}</p>
+          )}
+          <AuthSubmitButton type="submit" disabled={isSubmitting}>
+            {isSubmitting ? t('auth.pleaseWait') : isSignup ? t('auth.signup') : t('auth.login')}
+          </AuthSubmitButton>
+        </AuthForm>
+        <p style={{ marginTop: '1rem', textAlign: 'center' }}>
+          {isSignup ? t('auth.haveAccount') : t('auth.noAccount')}{' '}
+          <button
+            type="button"
+            onClick={() => openAuthModal(isSignup ? 'login' : 'signup')}
+            style={{
+              background: 'none',
+              border: 'none',
+              color: theme.modalLink,
+              cursor: 'pointer',
+              fontSize: '1rem',
+              padding: 0
+            }}
+          >
+            {isSignup ? t('auth.login') : t('auth.signup')}
+          </button>
+        </p>
+        {/* Last in the DOM so focus starts on the username field; it is still drawn in the corner */}
+        <button 
+          onClick={() => setShowAuthModal(false)}
+          aria-label={t('auth.close')}
+          style={{
+            position: 'absolute',
+            top: '10px',
+            right: '10px',
+            background: 'none',
+            border: 'none',
+            color: theme.modalText,
+            fontSize: '1.5rem',
+            cursor: 'pointer'
+          }}
+        >
+          <FaTimes />
+        </button>
+      </AuthDialog>
+    </ModalOverlay>
+  );
+}
+
+// Guards routes that need an account. Anonymous visitors are sent to the welcome page with the
+// login modal open, and AuthProvider returns them to the original URL once they log in.
+function RequireAuth({ children }) {
+  const { user, authReady } = useContext(AuthContext);
+  const { t } = useContext(I18nContext);
+  const location = useLocation();
+
+  // A deep link opened in a fresh tab has to wait for the stored session to be checked
+  if (!authReady) return (
+    <LoadingIndicator label={t('home.checkingSession')} />
+  );
+
+  if (!user) {
+    return <Navigate to="/" replace state={{ from: location, requireLogin: true }} />;
+  }
+
+  return children;
+}
+
+function WelcomePage() {
+  const theme = useTheme();
+  const { user, openAuthModal } = useContext(AuthContext);
+  const { t } = useContext(I18nContext);
+  const location = useLocation();
+
+  useEffect(() => {
+    if (location.state?.requireLogin && !user) openAuthModal('login');
+  }, [location.state, user, openAuthModal]);
+
+  return (
+    <WelcomeContainer>
+      <h1 style={{ fontSize: '3rem', marginBottom: '1rem' }}>{t('welcome.title')}</h1>
+      <p style={{ fontSize: '1.5rem', marginBottom: '2rem' }}>{t('welcome.tagline')}</p>
       <div style={{ display: 'flex', gap: '1rem' }}>
         <button 
-          onClick={() => openAuthModal('login')}
+          onClick={() => openAuthModal('login')}
+          style={{
+            padding: '0.8rem 1.5rem',
+            background: theme.primary,
+            color: theme.onPrimary,
+            border: 'none',
+            borderRadius: '4px',
+            cursor: 'pointer',
+            fontSize: '1rem'
+          }}
+        >
+          {t('welcome.login')}
+        </button>
+        <button 
+          onClick={() => openAuthModal('signup')}
+          style={{
+            padding: '0.8rem 1.5rem',
+            background: theme.secondary,
+            color: theme.onSecondary,
+            border: 'none',
+            borderRadius: '4px',
+            cursor: 'pointer',
+            fontSize: '1rem'
+          }}
+        >
+          {t('welcome.signup')}
+        </button>
+      </div>
+    </WelcomeContainer>
+  );
+}
+
+// In-app player for a movie's videos, with a gallery of every embeddable one grouped by type
+// and filterable by language
+function VideoModal({ title, videos, initialVideo, onClose }) {
+  const theme = useTheme();
+  const { t } = useContext(I18nContext);
+  const dialogRef = useRef(null);
+  const playable = getPlayableVideos(videos);
+  const languages = [...new Set(playable.map(video => video.iso_639_1).filter(Boolean))];
+  const [language, setLanguage] = useState(() => (languages.includes(browserLanguage()) ? browserLanguage() : 'all'));
+  const [current, setCurrent] = useState(initialVideo || playable[0] || null);
+  useDialogFocus(dialogRef, onClose);
+
+  const visible = language === 'all' ? playable : playable.filter(video => video.iso_639_1 === language);
+  const types = [...VIDEO_TYPES, ...new Set(visible.map(video => video.type).filter(type => !VIDEO_TYPES.includes(type)))];
+  const groups = types
+    .map(type => ({ type, videos: visible.filter(video => video.type === type) }))
+    .filter(group => group.videos.length > 0);
+  const typeLabel = (type) => (VIDEO_TYPES.includes(type) ? t(`videoTypes.${type}`) : type);
+
+  return (
+    <ModalOverlay onClick={(e) => {
+      if (e.target === e.currentTarget) onClose();
+    }}>
+      <VideoModalContent ref={dialogRef} role="dialog" aria-modal="true" aria-labelledby="video-modal-title" tabIndex={-1}>
+        <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: '1rem' }}>
+          <h2 id="video-modal-title" style={{ margin: 0 }}>
+            {t('video.heading', { title, name: current ? current.name : t('video.videos') })}
+          </h2>
+          <button 
+            onClick={onClose}
+            aria-label={t('video.close')}
+            style={{ background: 'none', border: 'none', color: theme.modalText, fontSize: '1.5rem', cursor: 'pointer' }}
+          >
+            <FaTimes />
+          </button>
+        </div>
+        
+        {current ? (
+          <div style={{ position: 'relative', paddingTop: '56.25%', margin: '1rem 0' }}>
+            <iframe
+              key={current.key}
+              src={youtubeEmbedUrl(current.key)}
+              title={current.name}
+              allow="autoplay; encrypted-media; picture-in-picture; fullscreen"
+              allowFullScreen
+              style={{ position: 'absolute', top: 0, left: 0, width: '100%', height: '100%', border: 0 }}
+            />
+          </div>
+        ) : (
+          <p>{t('video.none')}</p>
+        )}
+        
+        {languages.length > 1 && (
+          <label style={{ display: 'flex', alignItems: 'center', gap: '0.5rem', marginBottom: '1rem' }}>
+            {t('language.label')}
+            <select
+              value={language}
+              onChange={(e) => setLanguage(e.target.value)}
+              style={{ padding: '0.4rem', borderRadius: '4px' }}
+            >
+              <option value="all">{t('video.allLanguages')}</option>
+              {languages.map(code => (
+                <option key={code} value={code}>{languageName(code)}</option>
+              ))}
+            </select>
+          </label>
+        )}
+        
+        {groups.map(({ type, videos: group }) => (
+          <section key={type} aria-label={typeLabel(type)} style={{ marginBottom: '1rem' }}>
+            <h3 style={{ margin: '0 0 0.5rem' }}>{t('video.group', { type: typeLabel(type), count: group.length })}</h3>
+            <div style={{ display: 'flex', gap: '0.8rem', overflowX: 'auto', paddingBottom: '0.5rem' }}>
+              {group.map(video => (
+                <button
+                  key={video.id}
+                  onClick={() => setCurrent(video)}
+                  aria-pressed={current?.id === video.id}
+                  style={{
+                    minWidth: '160px',
+                    maxWidth: '160px',
+                    padding: 0,
+                    background: 'none',
+                    border: current?.id === video.id ? `2px solid ${theme.trailer}` : '2px solid transparent',
+                    borderRadius: '6px',
+                    color: theme.modalText,
+                    textAlign: 'left',
+                    cursor: 'pointer'
+                  }}
+                >
+                  <img
+                    src={`https://i.ytimg.com/vi/${encodeURIComponent(video.key)}/mqdefault.jpg`}
+                    alt=""
+                    style={{ width: '100%', aspectRatio: '16/9', objectFit: 'cover', borderRadius: '4px', display: 'block' }}
+                  />
+                  <span style={{ display: 'block', padding: '0.3rem', fontSize: '0.85rem' }}>
+                    {video.name}{language === 'all' && video.iso_639_1 && ` (${video.iso_639_1.toUpperCase()})`}
+                  </span>
+                </button>
+              ))}
+            </div>
+          </section>
+        ))}
+      </VideoModalContent>
+    </ModalOverlay>
+  );
+}
+
+// `onLoadMore` turns on infinite scrolling; `onReorder(from, to)` makes the cards draggable and adds
+// "move earlier/later" buttons so the order can also be changed from the keyboard.
+// The arrow keys move focus between cards like a grid (Home/End jump to the first/last card).
+// `headingLevel` is for the card titles: 2 on pages whose only heading above the grid is the <h1>.
+function MovieList({ movies, onLoadMore, hasMore = false, isLoadingMore = false, onReorder, headingLevel = 3 }) {
+  const theme = useTheme();
+  const {
+    toggleFavorite,
+    favorites,
+    toggleWatchlist,
+    watchlist,
+    toggleWatched,
+    watched,
+    ratings,
+    fetchMovieVideos,
+    compareList,
+    toggleCompare
+  } = useContext(MovieContext);
+  const { t, formatDate } = useContext(I18nContext);
+  const sentinelRef = useRef(null);
+  const gridRef = useRef(null);
+  const dragIndex = useRef(null);
+  const [dropIndex, setDropIndex] = useState(null);
+  const [playing, setPlaying] = useState(null);
+  // List endpoints don't include videos, so cards fetch them when a Trailer button is used
+  const [lazyVideos, setLazyVideos] = useState({});
+  const [pendingTrailer, setPendingTrailer] = useState(null);
+  const CardHeading = `h${headingLevel}`;
+  const reorderable = typeof onReorder === 'function';
+  const infinite = typeof onLoadMore === 'function';
+  const canObserve = typeof window !== 'undefined' && 'IntersectionObserver' in window;
+
+  const openTrailer = async (movie) => {
+    let videos = movie.videos || lazyVideos[movie.id];
+    if (!videos) {
+      setPendingTrailer(movie.id);
+      try {
+        videos = await fetchMovieVideos(movie.id);
+      } catch (err) {
+        // The player says there is nothing to play
+        videos = { results: [] };
+      }
+      setLazyVideos(prev => ({ ...prev, [movie.id]: videos }));
+      setPendingTrailer(null);
+    }
+    setPlaying({ movie: { ...movie, videos }, video: pickTrailer(videos, browserLanguage()) });
+  };
+
+  // Up/Down move by a row: the number of cards laid out on the first row, however wide the screen is
+  const handleGridKeyDown = (e) => {
+    const links = [...gridRef.current.querySelectorAll('[data-card-link]')];
+    const index = links.indexOf(e.target);
+    if (index === -1) return;
+
+    const firstRowTop = links[0].getBoundingClientRect().top;
+    const columns = links.filter(link => link.getBoundingClientRect().top === firstRowTop).length;
+    const next = {
+      ArrowRight: index + 1,
+      ArrowLeft: index - 1,
+      ArrowDown: index + columns,
+      ArrowUp: index - columns,
+      Home: 0,
+      End: links.length - 1
+    }[e.key];
+    if (next === undefined || next < 0 || next >= links.length) return;
+    e.preventDefault();
+    links[next].focus();
+  };
+
+  // Infinite mode: request the next page once the end of the grid scrolls into view
+  useEffect(() => {
+    if (!infinite || !hasMore || !canObserve || !sentinelRef.current) return;
+
+    const observer = new IntersectionObserver((entries) => {
+      if (entries[0].isIntersecting) onLoadMore();
+    }, { rootMargin: '200px' });
+
+    observer.observe(sentinelRef.current);
+    return () => observer.disconnect();
+  }, [infinite, hasMore, canObserve, onLoadMore, movies.length]);
+  
+  return (
+    <>
+      <MovieGrid ref={gridRef} role="list" onKeyDown={handleGridKeyDown}>
+        {movies.map((movie, index) => {
+          const videos = movie.videos || lazyVideos[movie.id];
+          // Unknown until fetched, so the button is offered until we know there is nothing to play
+          const hasTrailer = videos ? Boolean(pickTrailer(videos, browserLanguage())) : true;
+          const isFavorite = isInList(favorites, movie);
+          const onWatchlist = isInList(watchlist, movie);
+          const watchedEntry = watched.find(item => item.id === movie.id);
+          const comparing = isInList(compareList, movie);
+          const compareFull = !comparing && compareList.length >= MAX_COMPARE;
+          const dragProps = reorderable ? {
+            draggable: true,
+            onDragStart: (e) => {
+              dragIndex.current = index;
+              e.dataTransfer.effectAllowed = 'move';
+            },
+            onDragOver: (e) => {
+              e.preventDefault();
+              setDropIndex(index);
+            },
+            onDrop: (e) => {
+              e.preventDefault();
+              if (dragIndex.current !== null) onReorder(dragIndex.current, index);
+              dragIndex.current = null;
+              setDropIndex(null);
+            },
+            onDragEnd: () => {
+              dragIndex.current = null;
+              setDropIndex(null);
+            }
+          } : {};
+        
+          return (
+            <div 
+              key={movie.id}
+              role="listitem"
+              {...dragProps}
+              style={reorderable ? {
+                cursor: 'grab',
+                outline: dropIndex === index ? `2px dashed ${theme.primary}` : 'none',
+                borderRadius: '8px'
+              } : undefined}
+            >
+              <Link to={`/movie/${movie.id}`} data-card-link style={{ textDecoration: 'none', color: 'inherit' }}>
+                <MovieCard>
+                  <img
+                    src={movie.poster_path 
+                      ? `https://image.tmdb.org/t/p/w500${movie.poster_path}`
+                      : backgroundImage}
+                    alt={movie.title}
+                    style={{ 
+                      width: '100%', 
+                      height: 'auto',
+                      aspectRatio: '2/3',
+                      objectFit: 'cover'
+                    }}
+                  />
+                  <div style={{ padding: '1rem' }}>
+                    <CardHeading style={{ fontSize: '1.17em' }}>{movie.title}</CardHeading>
+                    <div style={{ display: 'flex', alignItems: 'center', gap: '0.5rem' }}>
+                      <FaStar color={theme.star} />
+                      <span>{(movie.vote_average ?? 0).toFixed(1)}</span>
+                      {ratings[movie.id]?.rating && (
+                        <span title={t('card.yourRating')} style={{ marginLeft: '0.5rem', color: theme.link }}>
+                          {t('card.myRating', { rating: ratings[movie.id].rating })}
+                        </span>
+                      )}
+                    </div>
+                    {movie.watchedAt && (
+                      <p style={{ margin: '0.5rem 0 0', fontSize: '0.85rem', color: theme.mutedText }}>
+                        {t('detail.watchedOn', { date: formatDate(movie.watchedAt) })}
+                      </p>
+                    )}
+                  </div>
+                </MovieCard>
+              </Link>
+            
+              <div style={{ 
+                display: 'flex', 
+                justifyContent: 'space-between', 
+                alignItems: 'center',
+                marginTop: '0.5rem'
+              }}>
+                <div style={{ display: 'flex', alignItems: 'center', gap: '0.5rem' }}>
+                  <button 
+                    onClick={() => toggleFavorite(movie)}
+                    aria-label={t('card.favoriteLabel', { title: movie.title })}
+                    aria-pressed={isFavorite}
+                    style={{ 
+                      background: 'none', 
+                      border: 'none', 
+                      cursor: 'pointer',
+                      display: 'flex',
+                      alignItems: 'center',
+                      gap: '0.3rem',
+                      color: 'inherit'
+                    }}
+                  >
+                    {isFavorite ? <FaHeart color={theme.favorite} size={20} /> : <FaRegHeart color={theme.favorite} size={20} />}
+                    {t('card.favorite')}
+                  </button>
+                  <button 
+                    onClick={() => toggleWatchlist(movie)}
+                    aria-label={t('card.wantToWatchLabel', { title: movie.title })}
+                    aria-pressed={onWatchlist}
+                    title={onWatchlist ? t('card.removeFromWatchlist') : t('card.wantToWatch')}
+                    style={{ 
+                      background: 'none', 
+                      border: 'none', 
+                      cursor: 'pointer',
+                      display: 'flex',
+                      alignItems: 'center'
+                    }}
+                  >
+                    {onWatchlist ? <FaBookmark color={theme.secondary} size={18} /> : <FaRegBookmark color={theme.secondary} size={18} />}
+                  </button>
+                  <button 
+                    onClick={() => toggleWatched(movie)}
+                    aria-label={t('card.watchedLabel', { title: movie.title })}
+                    aria-pressed={Boolean(watchedEntry)}
+                    title={watchedEntry 
+                      ? t('detail.watchedOn', { date: formatDate(watchedEntry.watchedAt) }) 
+                      : t('card.markWatched')}
+                    style={{ 
+                      background: 'none', 
+                      border: 'none', 
+                      cursor: 'pointer',
+                      display: 'flex',
+                      alignItems: 'center'
+                    }}
+                  >
+                    {watchedEntry ? <FaCheckCircle color={theme.primary} size={18} /> : <FaRegCheckCircle color={theme.primary} size={18} />}
+                  </button>
+                  <button 
+                    onClick={() => toggleCompare(movie)}
+                    disabled={compareFull}
+                    aria-label={t('card.compareLabel', { title: movie.title })}
+                    aria-pressed={comparing}
+                    title={compareFull ? t('card.compareFull', { count: MAX_COMPARE }) : t('card.compare')}
+                    style={{ 
+                      background: 'none', 
+                      border: 'none', 
+                      cursor: compareFull ? 'default' : 'pointer',
+                      display: 'flex',
+                      alignItems: 'center',
+                      color: comparing ? theme.link : 'inherit',
+                      opacity: compareFull ? 0.3 : 1
+                    }}
+                  >
+                    <FaBalanceScale size={18} />
+                  </button>
+                  {reorderable && (
+                    <>
+                      <button 
+                        onClick={() => onReorder(index, index - 1)}
+                        disabled={index === 0}
+                        aria-label={t('card.moveEarlier', { title: movie.title })}
+                        style={{ 
+                          background: 'none', 
+                          border: 'none', 
+                          cursor: index === 0 ? 'default' : 'pointer',
+                          display: 'flex',
+                          alignItems: 'center',
+                          color: 'inherit',
+                          opacity: index === 0 ? 0.3 : 1
+                        }}
+                      >
+                        <FaArrowLeft size={16} />
+                      </button>
+                      <button 
+                        onClick={() => onReorder(index, index + 1)}
+                        disabled={index === movies.length - 1}
+                        aria-label={t('card.moveLater', { title: movie.title })}
+                        style={{ 
+                          background: 'none', 
+                          border: 'none', 
+                          cursor: index === movies.length - 1 ? 'default' : 'pointer',
+                          display: 'flex',
+                          alignItems: 'center',
+                          color: 'inherit',
+                          opacity: index === movies.length - 1 ? 0.3 : 1
+                        }}
+                      >
+                        <FaArrowRight size={16} />
+                      </button>
+                    </>
+                  )}
+                </div>
+              
+                {hasTrailer && (
+                  <button 
+                    onClick={() => openTrailer(movie)}
+                    // Warm the cache so the click usually opens the player straight away
+                    onMouseEnter={() => {
+                      if (!videos) fetchMovieVideos(movie.id).catch(() => {});
+                    }}
+                    aria-label={t('card.playTrailer', { title: movie.title })}
+                    aria-busy={pendingTrailer === movie.id}
+                    style={{
+                      display: 'flex',
+                      alignItems: 'center',
+                      gap: '0.3rem',
+                      background: theme.trailer,
+                      color: theme.onTrailer,
+                      padding: '0.3rem 0.6rem',
+                      border: 'none',
+                      borderRadius: '4px',
+                      cursor: 'pointer'
+                    }}
+                  >
+                    <FaPlay size={14} /> {t('card.trailer')}
+                  </button>
+                )}
+              </div>
+            </div>
+          );
+        })}
+      </MovieGrid>
+
+      {playing && (
+        <VideoModal
+          title={playing.movie.title}
+          videos={playing.movie.videos}
+          initialVideo={playing.video}
+          onClose={() => setPlaying(null)}
+        />
+      )}
+
+      {infinite && hasMore && (
+        <div ref={sentinelRef} style={{ display: 'flex', justifyContent: 'center', padding: '1rem' }}>
+          {isLoadingMore ? (
+            <LoadingIndicator label={t('card.loadingMore')} size={50} padding="0" />
+          ) : !canObserve && (
+            <button 
+              onClick={onLoadMore}
+              style={{
+                padding: '0.8rem 1.5rem',
+                background: theme.primary,
+                color: theme.onPrimary,
+                border: 'none',
+                borderRadius: '4px',
+                cursor: 'pointer'
+              }}
+            >
+              {t('card.loadMore')}
+            </button>
+          )}
+        </div>
+      )}
+    </>
+  );
+}
+
+// Spinner with a status role, so screen readers announce `label` while something loads
+function LoadingIndicator({ label, size = 100, padding = '2rem' }) {
+  const theme = useTheme();
+
+  return (
+    <div role="status" style={{ display: 'flex', justifyContent: 'center', padding }}>
+      <PuffLoader color={theme.spinner} size={size} />
+      <VisuallyHidden>{label}</VisuallyHidden>
+    </div>
+  );
+}
+
+function BackButton() {
+  const theme = useTheme();
+  const { t } = useContext(I18nContext);
+  const navigate = useNavigate();
+
+  return (
+    <button 
+      onClick={() => navigate(-1)}
+      style={{
+        display: 'flex',
+        alignItems: 'center',
+        gap: '0.5rem',
+        padding: '0.5rem 1rem',
+        marginBottom: '1rem',
+        background: 'none',
+        border: `1px solid ${theme.border}`,
+        borderRadius: '4px',
+        cursor: 'pointer',
+        color: 'inherit'
+      }}
+    >
+      <FaArrowLeft /> {t('nav.back')}
+    </button>
+  );
+}
+
+// Shows a MovieApiError; "Retry" is offered unless retrying cannot help (bad API key, missing resource)
+function ErrorMessage({ error, onRetry }) {
+  const theme = useTheme();
+  const { t } = useContext(I18nContext);
+  const canRetry = onRetry && error.type !== 'unauthorized' && error.type !== 'not_found';
+
+  return (
+    <div role="alert" style={{ color: theme.danger, padding: '1rem', textAlign: 'center' }}>
+      <p>⚠️ {t(movieApiErrorKey(error.type))}</p>
+      {canRetry && (
+        <button 
+          onClick={onRetry}
+          style={{
+            padding: '0.5rem 1rem',
+            background: theme.primary,
+            color: theme.onPrimary,
+            border: 'none',
+            borderRadius: '4px',
+            cursor: 'pointer'
+          }}
+        >
+          {t('errors.retry')}
+        </button>
+      )}
+    </div>
+  );
+}
+
+// Catches render errors from a page (e.g. a movie payload missing a field we rely on) so the
+// navbar and the rest of the app keep working. Moving to another URL clears the error. Class
+// components can't call hooks, so RouteErrorBoundary passes the theme and `t` in.
+class ErrorBoundary extends React.Component {
+  constructor(props) {
+    super(props);
+    this.state = { error: null };
+  }
+
+  static getDerivedStateFromError(error) {
+    return { error };
+  }
+
+  componentDidUpdate(prevProps) {
+    if (this.state.error && prevProps.resetKey !== this.props.resetKey) {
+      this.setState({ error: null });
+    }
+  }
+
+  render() {
+    if (!this.state.error) return this.props.children;
+    const { theme, t } = this.props;
+
+    return (
+      <div role="alert" style={{ padding: '2rem', textAlign: 'center' }}>
+        <h2>{t('pageError.title')}</h2>
+        <p>{t('pageError.body')}</p>
+        <div style={{ display: 'flex', gap: '1rem', justifyContent: 'center' }}>
+          <button 
+            onClick={() => this.setState({ error: null })}
+            style={{
+              padding: '0.5rem 1rem',
+              background: theme.primary,
+              color: theme.onPrimary,
+              border: 'none',
+              borderRadius: '4px',
+              cursor: 'pointer'
+            }}
+          >
+            {t('pageError.tryAgain')}
+          </button>
+          <Link to="/" style={{ padding: '0.5rem 1rem', color: 'inherit' }}>{t('pageError.home')}</Link>
+        </div>
+      </div>
+    );
+  }
+}
+
+function RouteErrorBoundary({ children }) {
+  const location = useLocation();
+  const theme = useTheme();
+  const { t } = useContext(I18nContext);
+  return <ErrorBoundary resetKey={location.pathname} theme={theme} t={t}>{children}</ErrorBoundary>;
+}
+
+// A horizontally scrolling strip of poster links, for "Recommended", "Similar" and Home's rows
+function MovieRow({ title, movies }) {
+  const theme = useTheme();
+  if (movies.length === 0) return null;
+
+  return (
+    <section aria-label={title} style={{ marginBottom: '2rem' }}>
+      <h2>{title}</h2>
+      <div style={{ display: 'flex', gap: '1rem', overflowX: 'auto', padding: '0.5rem 0' }}>
+        {movies.slice(0, MAX_ROW_MOVIES).map(movie => (
+          <Link 
+            key={movie.id} 
+            to={`/movie/${movie.id}`}
+            style={{ minWidth: '140px', maxWidth: '140px', color: 'inherit', textDecoration: 'none' }}
+          >
+            <img
+              src={movie.poster_path 
+                ? `https://image.tmdb.org/t/p/w185${movie.poster_path}`
+                : backgroundImage}
+              alt=""
+              style={{ width: '140px', aspectRatio: '2/3', objectFit: 'cover', borderRadius: '8px' }}
+            />
+            <p style={{ margin: '0.5rem 0 0', fontWeight: 'bold' }}>{movie.title}</p>
+            <p style={{ margin: 0, fontSize: '0.8rem', color: theme.mutedText }}>
+              {releaseYear(movie)}{releaseYear(movie) && ' • '}<FaStar color={theme.star} size={10} /> {(movie.vote_average ?? 0).toFixed(1)}
+            </p>
+          </Link>
+        ))}
+      </div>
+    </section>
+  );
+}
+
+// Half-star rating input: click the left or right half of a star, or use the arrow keys
+// (Home/End jump to 0.5/5, Delete clears)
+function StarRating({ value, onChange }) {
+  const theme = useTheme();
+  const { t } = useContext(I18nContext);
+  const [hover, setHover] = useState(null);
+  const shown = hover ?? value ?? 0;
+
+  const handleKeyDown = (e) => {
+    const step = { ArrowRight: 0.5, ArrowUp: 0.5, ArrowLeft: -0.5, ArrowDown: -0.5 }[e.key];
+    let next;
+    if (step) next = clampRating((value ?? 0) + step);
+    else if (e.key === 'Home') next = 0.5;
+    else if (e.key === 'End') next = 5;
+    else if (e.key === 'Delete' || e.key === 'Backspace') next = null;
+    else return;
+    e.preventDefault();
+    onChange(next);
+  };
+
+  return (
+    <div
+      role="slider"
+      tabIndex={0}
+      aria-label={t('card.yourRating')}
+      aria-valuemin={0}
+      aria-valuemax={5}
+      aria-valuenow={value ?? 0}
+      aria-valuetext={value ? t('notes.stars', { rating: value }) : t('notes.notRated')}
+      onKeyDown={handleKeyDown}
+      onMouseLeave={() => setHover(null)}
+      style={{ display: 'inline-flex', gap: '0.2rem', cursor: 'pointer' }}
+    >
+      {[1, 2, 3, 4, 5].map(star => (
+        <span key={star} style={{ position: 'relative', display: 'inline-flex' }}>
+          {shown >= star 
+            ? <FaStar color={theme.star} size={24} />
+            : shown >= star - 0.5 
+              ? <FaStarHalfAlt color={theme.star} size={24} />
+              : <FaRegStar color={theme.star} size={24} />}
+          {[star - 0.5, star].map((half, index) => (
+            <span
+              key={half}
+              onClick={() => onChange(half)}
+              onMouseEnter={() => setHover(half)}
+              style={{ position: 'absolute', top: 0, bottom: 0, left: index ? '50%' : 0, width: '50%' }}
+            />
+          ))}
+        </span>
+      ))}
+    </div>
+  );
+}
+
+// The user's own rating and private markdown note, shown on MovieDetail
+function MovieNotes({ movie }) {
+  const theme = useTheme();
+  const { ratings, rateMovie, saveNote } = useContext(MovieContext);
+  const { t } = useContext(I18nContext);
+  const entry = ratings[movie.id];
+  const note = entry?.note || '';
+  const [draft, setDraft] = useState(null);
+  const editing = draft !== null;
+
+  return (
+    <div style={{ marginBottom: '1rem' }}>
+      <SectionHeading>{t('notes.title')}</SectionHeading>
+      <div style={{ display: 'flex', alignItems: 'center', gap: '1rem' }}>
+        <StarRating value={entry?.rating ?? null} onChange={(rating) => rateMovie(movie, rating)} />
+        <span>{entry?.rating ? t('notes.rating', { rating: entry.rating }) : t('notes.notRated')}</span>
+        {entry?.rating && (
+          <button
+            onClick={() => rateMovie(movie, null)}
+            style={{ background: 'none', border: 'none', color: theme.mutedText, cursor: 'pointer' }}
+          >
+            {t('notes.clearRating')}
+          </button>
+        )}
+      </div>
+      
+      {editing ? (
+        <form
+          onSubmit={(e) => {
+            e.preventDefault();
+            saveNote(movie, draft);
+            setDraft(null);
+          }}
+          style={{ marginTop: '1rem' }}
+        >
+          <textarea
+            value={draft}
+            onChange={(e) => setDraft(e.target.value)}
+            aria-label={t('notes.label')}
+            placeholder={t('notes.placeholder')}
+            rows={5}
+            style={{ width: '100%', padding: '0.8rem', borderRadius: '4px', border: `1px solid ${theme.border}`, fontFamily: 'inherit' }}
+          />
+          <div style={{ display: 'flex', gap: '0.5rem', marginTop: '0.5rem' }}>
+            <button 
+              type="submit"
+              style={{
+                padding: '0.5rem 1rem',
+                background: theme.primary,
+                color: theme.onPrimary,
+                border: 'none',
+                borderRadius: '4px',
+                cursor: 'pointer'
+              }}
+            >
+              {t('notes.save')}
+            </button>
+            <button 
+              type="button"
+              onClick={() => setDraft(null)}
+              style={{ padding: '0.5rem 1rem', borderRadius: '4px', cursor: 'pointer' }}
+            >
+              {t('notes.cancel')}
+            </button>
+          </div>
+        </form>
+      ) : (
+        <div style={{ marginTop: '1rem' }}>
+          {note && <div aria-label={t('notes.label')}>{renderMarkdown(note)}</div>}
+          <button
+            onClick={() => setDraft(note)}
+            style={{ background: 'none', border: 'none', color: theme.link, cursor: 'pointer', padding: 0 }}
+          >
+            {note ? t('notes.edit') : t('notes.add')}
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
+
+// "Add to Collection" menu for the MovieDetail header: tick the collections the movie belongs to,
+// or create a new one that starts with this movie
+function CollectionPicker({ movie }) {
+  const theme = useTheme();
+  const { collections, createCollection, toggleInCollection } = useContext(MovieContext);
+  const { t } = useContext(I18nContext);
+  const [open, setOpen] = useState(false);
+  const [newName, setNewName] = useState('');
+  const toggleRef = useRef(null);
+  const savedCount = collections.filter(collection => isInList(collection.movies, movie)).length;
+
+  const close = () => {
+    setOpen(false);
+    toggleRef.current?.focus();
+  };
+
+  const handleCreate = (e) => {
+    e.preventDefault();
+    if (!newName.trim()) return;
+    createCollection(newName, [movie]);
+    setNewName('');
+  };
+
+  return (
+    <div 
+      style={{ position: 'relative' }}
+      onKeyDown={(e) => {
+        if (e.key === 'Escape' && open) close();
+      }}
+    >
+      <button 
+        ref={toggleRef}
+        onClick={() => setOpen(prev => !prev)}
+        aria-expanded={open}
+        aria-controls="collection-picker"
+        style={{ 
+          background: 'none', 
+          border: 'none', 
+          cursor: 'pointer',
+          display: 'flex',
+          alignItems: 'center',
+          gap: '0.5rem',
+          color: 'inherit'
+        }}
+      >
+        <FaFolderPlus color={theme.warning} size={22} />
+        {savedCount > 0 ? t('collectionPicker.saved', { count: savedCount }) : t('collectionPicker.add')}
+      </button>
+      
+      {open && (
+        <div 
+          id="collection-picker"
+          role="group"
+          aria-label={t('collectionPicker.label')}
+          style={{
+            position: 'absolute',
+            top: '100%',
+            right: 0,
+            minWidth: '240px',
+            marginTop: '0.25rem',
+            padding: '0.8rem',
+            background: theme.popoverBg,
+            color: theme.popoverText,
+            border: `1px solid ${theme.border}`,
+            borderRadius: '4px',
+            boxShadow: theme.popoverShadow,
+            zIndex: 50
+          }}
+        >
+          {collections.length === 0 && (
+            <p style={{ margin: '0 0 0.5rem', color: theme.mutedText }}>{t('collectionPicker.empty')}</p>
+          )}
+          {collections.map(collection => (
+            <label 
+              key={collection.id} 
+              style={{ display: 'flex', alignItems: 'center', gap: '0.5rem', padding: '0.3rem 0', cursor: 'pointer' }}
+            >
+              <input
+                type="checkbox"
+                checked={isInList(collection.movies, movie)}
+                onChange={() => toggleInCollection(collection.id, movie)}
+              />
+              {collection.name}
+            </label>
+          ))}
+          <form onSubmit={handleCreate} style={{ display: 'flex', gap: '0.5rem', marginTop: '0.5rem' }}>
+            <input
+              type="text"
+              value={newName}
+              onChange={(e) => setNewName(e.target.value)}
+              placeholder={t('collectionPicker.newPlaceholder')}
+              aria-label={t('collectionPicker.newLabel')}
+              style={{ flex: 1, padding: '0.4rem', border: `1px solid ${theme.border}`, borderRadius: '4px' }}
+            />
+            <button 
+              type="submit"
+              style={{
+                padding: '0.4rem 0.8rem',
+                background: theme.primary,
+                color: theme.onPrimary,
+                border: 'none',
+                borderRadius: '4px',
+                cursor: 'pointer'
+              }}
+            >
+              {t('collectionPicker.create')}
+            </button>
+          </form>
+        </div>
+      )}
+    </div>
+  );
+}
+
+// Streaming, rental and purchase options for a movie in the user's region. Changing the region
+// here changes it everywhere (Discover's "my services" filter uses it too).
+function WatchProviders({ providers = {} }) {
+  const theme = useTheme();
+  const { settings, updateSettings } = useContext(MovieContext);
+  const { t } = useContext(I18nContext);
+  const region = settings.region;
+  const offers = providers[region];
+  const regions = [...new Set([region, ...Object.keys(providers)])]
+    .map(code => ({ code, name: regionName(code) }))
+    .sort((a, b) => a.name.localeCompare(b.name));
+  const groups = WATCH_PROVIDER_TYPES.filter(({ key }) => offers?.[key]?.length);
+
+  return (
+    <section aria-label={t('watchProviders.title')} style={{ marginBottom: '1rem' }}>
+      <div style={{ display: 'flex', alignItems: 'center', gap: '1rem', flexWrap: 'wrap' }}>
+        <SectionHeading>{t('watchProviders.title')}</SectionHeading>
+        <label style={{ display: 'flex', alignItems: 'center', gap: '0.5rem' }}>
+          {t('watchProviders.region')}
+          <select value={region} onChange={(e) => updateSettings({ region: e.target.value })}>
+            {regions.map(({ code, name }) => (
+              <option key={code} value={code}>{name}</option>
+            ))}
+          </select>
+        </label>
+      </div>
+      {groups.length === 0 ? (
+        <p style={{ color: theme.mutedText }}>{t('watchProviders.unavailable', { region: regionName(region) })}</p>
+      ) : (
+        <>
+          {groups.map(({ key }) => (
+            <div key={key} style={{ display: 'flex', alignItems: 'center', gap: '0.5rem', flexWrap: 'wrap', marginBottom: '0.5rem' }}>
+              <SubHeading style={{ margin: 0, minWidth: '4rem', color: theme.mutedText }}>{t(`watchProviders.${key}`)}</SubHeading>
+              <ul aria-label={t(`watchProviders.${key}`)} style={{ display: 'flex', gap: '0.5rem', flexWrap: 'wrap', listStyle: 'none', padding: 0, margin: 0 }}>
+                {[...offers[key]]
+                  .sort((a, b) => a.display_priority - b.display_priority)
+                  .map(provider => (
+                    <li
+                      key={provider.provider_id}
+                      style={{ display: 'flex', alignItems: 'center', gap: '0.4rem', padding: '0.3rem 0.6rem', border: `1px solid ${theme.border}`, borderRadius: '20px' }}
+                    >
+                      {provider.logo_path && (
+                        <img
+                          src={`https://image.tmdb.org/t/p/w45${provider.logo_path}`}
+                          alt=""
+                          style={{ width: '24px', height: '24px', borderRadius: '4px' }}
+                        />
+                      )}
+                      {provider.provider_name}
+                    </li>
+                  ))}
+              </ul>
+            </div>
+          ))}
+          {/* TMDB's terms ask for JustWatch to be credited wherever this data is shown */}
+          <p style={{ fontSize: '0.8rem', color: theme.mutedText }}>
+            {t('watchProviders.credit')}
+            {offers.link && (
+              <> <a href={offers.link} target="_blank" rel="noopener noreferrer" style={{ color: 'inherit' }}>{t('watchProviders.seeAll')}</a></>
+            )}
+          </p>
+        </>
+      )}
+    </section>
+  );
+}
+
+function MovieDetail() {
+  const theme = useTheme();
+  const { id } = useParams();
+  const {
+    fetchMovieDetails,
+    getCachedMovieDetails,
+    toggleFavorite,
+    favorites,
+    toggleWatchlist,
+    watchlist,
+    toggleWatched,
+    watched
+  } = useContext(MovieContext);
+  const { t, formatDate, formatRuntime } = useContext(I18nContext);
+  const [movie, setMovie] = useState(() => getCachedMovieDetails(id) || null);
+  const [loading, setLoading] = useState(() => !getCachedMovieDetails(id));
+  const [error, setError] = useState(null);
+  const [attempt, setAttempt] = useState(0);
+  const [showVideos, setShowVideos] = useState(false);
+
+  useEffect(() => {
+    let ignore = false;
+    const cached = getCachedMovieDetails(id);
+    setShowVideos(false);
+    setMovie(cached || null);
+    setLoading(!cached);
+    setError(null);
+
+    const loadMovie = async () => {
+      try {
+        const data = await fetchMovieDetails(id, {
+          onRevalidate: fresh => {
+            if (!ignore) setMovie(fresh);
+          }
+        });
+        if (!ignore) setMovie(data);
+      } catch (err) {
+        if (!ignore) setError(err);
+      } finally {
+        if (!ignore) setLoading(false);
+      }
+    };
+    loadMovie();
+    return () => {
+      ignore = true;
+    };
+  }, [id, attempt, fetchMovieDetails, getCachedMovieDetails]);
+
+  if (loading) return (
+    <LoadingIndicator label={t('detail.loading')} />
+  );
+  
+  if (!movie) return (
+    <MovieDetailContainer>
+      <BackButton />
+      {!error || error.type === 'not_found' ? (
+        <p>{t('detail.notFound')}</p>
+      ) : (
+        <ErrorMessage error={error} onRetry={() => setAttempt(count => count + 1)} />
+      )}
+    </MovieDetailContainer>
+  );
+
+  const isFavorite = favorites.some(fav => fav.id === movie.id);
+  const onWatchlist = isInList(watchlist, movie);
+  const watchedEntry = watched.find(item => item.id === movie.id);
+  const trailer = pickTrailer(movie.videos, browserLanguage());
+  const videoCount = getPlayableVideos(movie.videos).length;
+  const keyCrew = getKeyCrew(movie.credits);
+
+  return (
+    <MovieDetailContainer>
+      <BackButton />
+      
+      <div style={{ display: 'flex', gap: '2rem', marginBottom: '2rem', flexWrap: 'wrap' }}>
+        <img
+          src={movie.poster_path 
+            ? `https://image.tmdb.org/t/p/w500${movie.poster_path}`
+            : backgroundImage}
+          alt={movie.title}
+          style={{ width: '300px', borderRadius: '8px', flexShrink: 0 }}
+        />
+        <div style={{ flex: 1, minWidth: '300px' }}>
+          <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', flexWrap: 'wrap' }}>
+            <h1>{movie.title}{movie.release_date && ` (${releaseYear(movie)})`}</h1>
+            <div style={{ display: 'flex', alignItems: 'center', gap: '1rem', flexWrap: 'wrap' }}>
+              <button 
+                onClick={() => toggleFavorite(movie)}
+                aria-pressed={isFavorite}
+                style={{ 
+                  background: 'none', 
+                  border: 'none', 
+                  cursor: 'pointer',
+                  display: 'flex',
+                  alignItems: 'center',
+                  gap: '0.5rem',
+                  color: 'inherit'
+                }}
+              >
+                {isFavorite ? <FaHeart color={theme.favorite} size={24} /> : <FaRegHeart color={theme.favorite} size={24} />}
+                {isFavorite ? t('detail.removeFavorite') : t('detail.addFavorite')}
+              </button>
+              <button 
+                onClick={() => toggleWatchlist(movie)}
+                aria-pressed={onWatchlist}
+                style={{ 
+                  background: 'none', 
+                  border: 'none', 
+                  cursor: 'pointer',
+                  display: 'flex',
+                  alignItems: 'center',
+                  gap: '0.5rem',
+                  color: 'inherit'
+                }}
+              >
+                {onWatchlist ? <FaBookmark color={theme.secondary} size={22} /> : <FaRegBookmark color={theme.secondary} size={22} />}
+                {onWatchlist ? t('detail.onWatchlist') : t('detail.wantToWatch')}
+              </button>
+              <button 
+                onClick={() => toggleWatched(movie)}
+                aria-pressed={Boolean(watchedEntry)}
+                style={{ 
+                  background: 'none', 
+                  border: 'none', 
+                  cursor: 'pointer',
+                  display: 'flex',
+                  alignItems: 'center',
+                  gap: '0.5rem',
+                  color: 'inherit'
+                }}
+              >
+                {watchedEntry ? <FaCheckCircle color={theme.primary} size={22} /> : <FaRegCheckCircle color={theme.primary} size={22} />}
+                {watchedEntry 
+                  ? t('detail.watchedOn', { date: formatDate(watchedEntry.watchedAt) }) 
+                  : t('detail.markWatched')}
+              </button>
+              <CollectionPicker movie={movie} />
+            </div>
+          </div>
+          
+          <div style={{ display: 'flex', alignItems: 'center', gap: '1rem', margin: '1rem 0' }}>
+            <div style={{ display: 'flex', alignItems: 'center', gap: '0.3rem' }}>
+              <FaStar color={theme.star} />
+              <span>{t('detail.score', { score: (movie.vote_average ?? 0).toFixed(1) })}</span>
+            </div>
+            {movie.runtime > 0 && (
+              <>
+                <span>•</span>
+                <span>{formatRuntime(movie.runtime)}</span>
+              </>
+            )}
+            {movie.release_date && (
+              <>
+                <span>•</span>
+                <span>{formatDate(movie.release_date, { dateStyle: 'long' })}</span>
+              </>
+            )}
+          </div>
+          
+          <div style={{ marginBottom: '1rem' }}>
+            <SectionHeading>{t('detail.genres')}</SectionHeading>
+            <div style={{ display: 'flex', gap: '0.5rem', flexWrap: 'wrap' }}>
+              {(movie.genres || []).map(genre => (
+                <span key={genre.id} style={{ 
+                  padding: '0.3rem 0.8rem', 
+                  backgroundColor: theme.chipBg, 
+                  borderRadius: '20px',
+                  color: theme.chipText
+                }}>
+                  {genre.name}
+                </span>
+              ))}
+            </div>
+          </div>
+          
+          {keyCrew.length > 0 && (
+            <div style={{ display: 'flex', gap: '2rem', flexWrap: 'wrap', marginBottom: '1rem' }}>
+              {keyCrew.map(({ role, people }) => (
+                <div key={role}>
+                  <SubHeading style={{ margin: '0 0 0.3rem', color: theme.mutedText }}>{t(`crew.${role}`, { count: people.length })}</SubHeading>
+                  {people.map((person, index) => (
+                    <React.Fragment key={person.id}>
+                      {index > 0 && ', '}
+                      <Link to={`/person/${person.id}`} style={{ color: 'inherit' }}>{person.name}</Link>
+                    </React.Fragment>
+                  ))}
+                </div>
+              ))}
+            </div>
+          )}
+          
+          <div style={{ marginBottom: '1rem' }}>
+            <SectionHeading>{t('detail.overview')}</SectionHeading>
+            <p>{movie.overview}</p>
+          </div>
+
+          <WatchProviders providers={movie['watch/providers']?.results} />
+
+          <MovieNotes key={movie.id} movie={movie} />
+          
+          {trailer && (
+            <div style={{ display: 'flex', alignItems: 'center', gap: '1rem', marginTop: '1rem', flexWrap: 'wrap' }}>
+              <button 
+                onClick={() => setShowVideos(true)}
+                style={{
+                  display: 'inline-flex',
+                  alignItems: 'center',
+                  gap: '0.5rem',
+                  padding: '0.8rem 1.5rem',
+                  backgroundColor: theme.trailer,
+                  color: theme.onTrailer,
+                  border: 'none',
+                  borderRadius: '4px',
+                  cursor: 'pointer',
+                  fontSize: '1rem'
+                }}
+              >
+                <FaPlay /> {t('detail.watchVideo', {
+                  type: VIDEO_TYPES.includes(trailer.type) ? t(`videoTypes.${trailer.type}`) : trailer.type
+                })}
+              </button>
+              {videoCount > 1 && (
+                <button 
+                  onClick={() => setShowVideos(true)}
+                  style={{ background: 'none', border: 'none', color: 'inherit', cursor: 'pointer', textDecoration: 'underline' }}
+                >
+                  {t('detail.allVideos', { count: videoCount })}
+                </button>
+              )}
+            </div>
+          )}
+          
+          {showVideos && (
+            <VideoModal
+              title={movie.title}
+              videos={movie.videos}
+              initialVideo={trailer}
+              onClose={() => setShowVideos(false)}
+            />
+          )}
+        </div>
+      </div>
+      
+      <div>
+        <h2>{t('detail.cast')}</h2>
+        <div style={{ display: 'flex', gap: '1rem', overflowX: 'auto', padding: '1rem 0' }}>
+          {(movie.credits?.cast || []).slice(0, 10).map(actor => (
+            <Link 
+              key={actor.id} 
+              to={`/person/${actor.id}`}
+              style={{ minWidth: '120px', textAlign: 'center', color: 'inherit', textDecoration: 'none' }}
+            >
+              <img
+                src={actor.profile_path 
+                  ? `https://image.tmdb.org/t/p/w200${actor.profile_path}`
+                  : 'https://via.placeholder.com/200x300?text=No+Image'}
+                alt={actor.name}
+                style={{ width: '100px', height: '150px', objectFit: 'cover', borderRadius: '8px' }}
+              />
+              <p style={{ marginTop: '0.5rem' }}>{actor.name}</p>
+              <p style={{ fontSize: '0.8rem', color: theme.mutedText }}>{actor.character}</p>
+            </Link>
+          ))}
+        </div>
+      </div>
+      
+      <MovieRow title={t('detail.recommended')} movies={movie.recommendations?.results || []} />
+      <MovieRow title={t('detail.similar')} movies={movie.similar?.results || []} />
+    </MovieDetailContainer>
+  );
+}
+
+function FilmographyList({ title, rows }) {
+  const theme = useTheme();
+  const { t } = useContext(I18nContext);
+  if (rows.length === 0) return null;
+
+  return (
+    <section aria-label={title} style={{ marginBottom: '2rem' }}>
+      <h2>{t('person.section', { title, count: rows.length })}</h2>
+      <ul style={{ listStyle: 'none', padding: 0 }}>
+        {rows.map(({ movie, roles }) => (
+          <li 
+            key={movie.id} 
+            style={{ display: 'flex', gap: '1rem', padding: '0.5rem 0', borderBottom: `1px solid ${theme.border}` }}
+          >
+            <span style={{ width: '3rem', color: theme.mutedText }}>{releaseYear(movie) || '—'}</span>
+            <span>
+              <Link to={`/movie/${movie.id}`} style={{ color: 'inherit', fontWeight: 'bold' }}>{movie.title}</Link>
+              {roles.length > 0 && <span style={{ color: theme.mutedText }}> — {roles.join(', ')}</span>}
+            </span>
+          </li>
+        ))}
+      </ul>
+    </section>
+  );
+}
+
+function PersonPage() {
+  const theme = useTheme();
+  const { id } = useParams();
+  const { fetchPerson } = useContext(MovieContext);
+  const { t, formatDate } = useContext(I18nContext);
+  const [searchParams, setSearchParams] = useSearchParams();
+  const [person, setPerson] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [attempt, setAttempt] = useState(0);
+  const sort = searchParams.get('sort') === 'popularity' ? 'popularity' : 'year';
+
+  useEffect(() => {
+    let ignore = false;
+    setLoading(true);
+    setError(null);
+
+    const loadPerson = async () => {
+      try {
+        const data = await fetchPerson(id, {
+          onRevalidate: fresh => {
+            if (!ignore) setPerson(fresh);
+          }
+        });
+        if (!ignore) setPerson(data);
+      } catch (err) {
+        if (!ignore) {
+          setPerson(null);
+          setError(err);
+        }
+      } finally {
+        if (!ignore) setLoading(false);
+      }
+    };
+    loadPerson();
+    return () => {
+      ignore = true;
+    };
+  }, [id, attempt, fetchPerson]);
+
+  const filmography = useMemo(() => groupFilmography(person?.combined_credits), [person]);
+
+  if (loading) return (
+    <LoadingIndicator label={t('person.loading')} />
+  );
+  
+  if (!person) return (
+    <MovieDetailContainer>
+      <BackButton />
+      {!error || error.type === 'not_found' ? (
+        <p>{t('person.notFound')}</p>
+      ) : (
+        <ErrorMessage error={error} onRetry={() => setAttempt(count => count + 1)} />
+      )}
+    </MovieDetailContainer>
+  );
+
+  // Acting first for actors, crew first for directors, writers and so on
+  const sections = [
+    { title: t('person.acting'), rows: sortFilmography(filmography.acting, sort) },
+    { title: t('person.crew'), rows: sortFilmography(filmography.crew, sort) }
+  ];
+  const department = person.known_for_department;
+  if (department && department !== 'Acting') sections.reverse();
+
+  return (
+    <MovieDetailContainer>
+      <BackButton />
+      
+      <div style={{ display: 'flex', gap: '2rem', flexWrap: 'wrap', marginBottom: '2rem' }}>
+        <img
+          src={person.profile_path 
+            ? `https://image.tmdb.org/t/p/w300${person.profile_path}`
+            : 'https://via.placeholder.com/300x450?text=No+Image'}
+          alt={person.name}
+          style={{ width: '200px', height: '300px', objectFit: 'cover', borderRadius: '8px' }}
+        />
+        <div style={{ flex: 1, minWidth: '280px' }}>
+          <h1>{person.name}</h1>
+          <p style={{ color: theme.mutedText }}>
+            {[
+              department && (PERSON_DEPARTMENTS.includes(department) ? t(`departments.${department}`) : department),
+              person.birthday && t('person.born', { date: formatDate(person.birthday, { dateStyle: 'long' }) }),
+              person.place_of_birth
+            ].filter(Boolean).join(' • ')}
+          </p>
+          {person.biography 
+            ? person.biography.split(/\n\s*\n/).map((paragraph, index) => <p key={index}>{paragraph}</p>)
+            : <p>{t('person.noBiography')}</p>}
+        </div>
+      </div>
+      
+      <label style={{ display: 'flex', alignItems: 'center', gap: '0.5rem', marginBottom: '1rem' }}>
+        {t('person.sortBy')}
+        <select
+          value={sort}
+          onChange={(e) => setSearchParams(e.target.value === 'year' ? {} : { sort: e.target.value }, { replace: true })}
+          style={{ padding: '0.5rem', borderRadius: '4px', border: `1px solid ${theme.border}` }}
+        >
+          {FILMOGRAPHY_SORT_OPTIONS.map(option => (
+            <option key={option.value} value={option.value}>{t(`person.sort.${option.value}`)}</option>
+          ))}
+        </select>
+      </label>
+      
+      {sections.map(section => <FilmographyList key={section.title} {...section} />)}
+    </MovieDetailContainer>
+  );
+}
+
+function FavoritesPage() {
+  const theme = useTheme();
+  const { favorites, ratings } = useContext(MovieContext);
+  const { t } = useContext(I18nContext);
+  const [searchParams, setSearchParams] = useSearchParams();
+  const sort = FAVORITES_SORT_OPTIONS.some(option => option.value === searchParams.get('sort'))
+    ? searchParams.get('sort')
+    : 'added';
+  const sortedFavorites = useMemo(() => sortMovieList(favorites, sort, ratings), [favorites, sort, ratings]);
+  
+  return (
+    <div style={{ padding: '2rem' }}>
+      <BackButton />
+      
+      <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', flexWrap: 'wrap', gap: '1rem' }}>
+        <div>
+          <h1 style={{ marginBottom: 0 }}>{t('favorites.title')}</h1>
+          {favorites.length > 0 && <p style={{ margin: '0.3rem 0 0' }}>{t('favorites.count', { count: favorites.length })}</p>}
+        </div>
+        <Link to="/import-export" style={{ color: 'inherit' }}>{t('favorites.importExport')}</Link>
+        {favorites.length > 1 && (
+          <label style={{ display: 'flex', alignItems: 'center', gap: '0.5rem' }}>
+            {t('favorites.sortBy')}
+            <select
+              value={sort}
+              onChange={(e) => setSearchParams(e.target.value === 'added' ? {} : { sort: e.target.value }, { replace: true })}
+              style={{ padding: '0.5rem', borderRadius: '4px', border: `1px solid ${theme.border}` }}
+            >
+              {FAVORITES_SORT_OPTIONS.map(option => (
+                <option key={option.value} value={option.value}>{t(`favorites.sort.${option.value}`)}</option>
+              ))}
+            </select>
+          </label>
+        )}
+      </div>
+      {favorites.length > 0 ? (
+        <MovieList movies={sortedFavorites} headingLevel={2} />
+      ) : (
+        <p>{t('favorites.empty')}</p>
+      )}
+    </div>
+  );
+}
+
+function WatchlistPage() {
+  const { watchlist } = useContext(MovieContext);
+  const { t } = useContext(I18nContext);
+  
+  return (
+    <div style={{ padding: '2rem' }}>
+      <BackButton />
+      
+      <h1>{t('watchlist.title')}</h1>
+      {watchlist.length > 0 ? (
+        <MovieList movies={watchlist} headingLevel={2} />
+      ) : (
+        <p>{t('watchlist.empty')}</p>
+      )}
+    </div>
+  );
+}
+
+// Newest first: toggleWatched prepends each entry with its watchedAt date
+function WatchedPage() {
+  const { watched } = useContext(MovieContext);
+  const { t } = useContext(I18nContext);
+  
+  return (
+    <div style={{ padding: '2rem' }}>
+      <BackButton />
+      
+      <h1>{t('watched.title')}</h1>
+      {watched.length > 0 ? (
+        <MovieList movies={watched} headingLevel={2} />
+      ) : (
+        <p>{t('watched.empty')}</p>
+      )}
+    </div>
+  );
+}
+
+// An import row as it appeared in the file: "Title (year)" and the collection it goes to, if any
+function ImportRowLabel({ row }) {
+  const theme = useTheme();
+  const { t } = useContext(I18nContext);
+  return (
+    <>
+      {row.title}{row.year && ` (${row.year})`}
+      {row.list === 'collection' && row.collection && (
+        <span style={{ color: theme.mutedText }}> {t('importExport.inCollection', { collection: row.collection })}</span>
+      )}
+    </>
+  );
+}
+
+const describeMovie = (movie) => `${movie.title}${releaseYear(movie) ? ` (${releaseYear(movie)})` : ''}`;
+
+function ImportExportPage() {
+  const theme = useTheme();
+  const { favorites, watchlist, watched, collections, ratings, importMovies, findMovies, fetchDetailsInBackground } = useContext(MovieContext);
+  const { user } = useContext(AuthContext);
+  const { t } = useContext(I18nContext);
+  const [target, setTarget] = useState('favorites');
+  const [rows, setRows] = useState([]);
+  const [matches, setMatches] = useState([]);
+  const [choices, setChoices] = useState({});
+  const [progress, setProgress] = useState(0);
+  const [step, setStep] = useState('idle');
+  const [error, setError] = useState(null);
+  const [importedCount, setImportedCount] = useState(0);
+  const controllerRef = useRef(null);
+
+  useEffect(() => () => controllerRef.current?.abort(), []);
+
+  const exportData = { lists: { favorites, watchlist, watched }, collections, ratings };
+  const filename = (extension) => `movie-explorer-${user}-${new Date().toISOString().slice(0, 10)}.${extension}`;
+
+  const reset = () => {
+    controllerRef.current?.abort();
+    setRows([]);
+    setMatches([]);
+    setChoices({});
+    setStep('idle');
+  };
+
+  const handleFile = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    reset();
+    setError(null);
+    const controller = new AbortController();
+    controllerRef.current = controller;
+    try {
+      const parsed = parseImportFile(await readFileText(file), { target });
+      if (parsed.length === 0) throw new ImportError('empty');
+
+      setRows(parsed);
+      setProgress(0);
+      setStep('matching');
+      let done = 0;
+      const results = await mapWithConcurrency(parsed, IMPORT_MATCH_CONCURRENCY, async (row) => {
+        const result = await matchImportRow(row, { findMovies, fetchDetailsInBackground }, controller.signal);
+        if (!controller.signal.aborted) setProgress(++done);
+        return result;
+      });
+      if (controller.signal.aborted) return;
+      setMatches(results);
+      setStep('preview');
+    } catch (err) {
+      if (isAbortError(err)) return;
+      setStep('idle');
+      setError(err);
+    }
+  };
+
+  // Files we can't parse say why; anything else (a JSON syntax error, say) has only the browser's text
+  const describeError = (err) => {
+    if (err instanceof MovieApiError) return t(movieApiErrorKey(err.type));
+    const reason = err instanceof ImportError ? t(`importExport.errors.${err.code}`) : err.message;
+    return t('importExport.readFailed', { reason });
+  };
+
+  const resolved = rows
+    .map((row, index) => {
+      const match = matches[index];
+      if (!match) return null;
+      const movie = match.status === 'matched'
+        ? match.movie
+        : match.candidates.find(candidate => String(candidate.id) === choices[index]);
+      return movie ? { ...row, movie } : null;
+    })
+    .filter(Boolean);
+
+  const handleImport = () => {
+    importMovies(resolved);
+    setImportedCount(resolved.length);
+    setStep('done');
+  };
+
+  const byStatus = (status) => rows
+    .map((row, index) => ({ row, index, match: matches[index] }))
+    .filter(({ match }) => match?.status === status);
+
+  const sectionStyle = { marginBottom: '2rem', maxWidth: '800px' };
+  const buttonStyle = {
+    padding: '0.8rem 1.5rem',
+    background: theme.primary,
+    color: theme.onPrimary,
+    border: 'none',
+    borderRadius: '4px',
+    cursor: 'pointer'
+  };
+
+  return (
+    <div style={{ padding: '2rem' }}>
+      <BackButton />
+      
+      <h1>{t('importExport.title')}</h1>
+      
+      <section style={sectionStyle}>
+        <h2>{t('importExport.export')}</h2>
+        <p>{t('importExport.exportHelp')}</p>
+        <div style={{ display: 'flex', gap: '1rem', flexWrap: 'wrap' }}>
+          <button 
+            onClick={() => downloadFile(filename('json'), buildJsonExport(exportData), 'application/json')}
+            style={buttonStyle}
+          >
+            {t('importExport.exportJson')}
+          </button>
+          <button 
+            onClick={() => downloadFile(filename('csv'), buildCsvExport(exportData), 'text/csv')}
+            style={buttonStyle}
+          >
+            {t('importExport.exportCsv')}
+          </button>
+        </div>
+      </section>
+      
+      <section style={sectionStyle}>
+        <h2>{t('importExport.import')}</h2>
+        <p>{t('importExport.importHelp')}</p>
+        <div style={{ display: 'flex', gap: '1rem', flexWrap: 'wrap', alignItems: 'center' }}>
+          <label style={{ display: 'flex', alignItems: 'center', gap: '0.5rem' }}>
+            {t('importExport.target')}
+            <select
+              value={target}
+              onChange={(e) => setTarget(e.target.value)}
+              style={{ padding: '0.5rem', borderRadius: '4px', border: `1px solid ${theme.border}` }}
+            >
+              {IMPORT_TARGETS.map(option => (
+                <option key={option.value} value={option.value}>{t(`importExport.targets.${option.value}`)}</option>
+              ))}
+            </select>
+          </label>
+          <label style={{ display: 'flex', alignItems: 'center', gap: '0.5rem' }}>
+            {t('importExport.file')}
+            <input type="file" accept=".json,.csv,application/json,text/csv" onChange={handleFile} />
+          </label>
+        </div>
+        
+        {error && <p role="alert" style={{ color: theme.danger }}>{describeError(error)}</p>}
+        
+        {step === 'matching' && (
+          <p role="status">{t('importExport.matching', { progress, count: rows.length })}</p>
+        )}
+        
+        {step === 'done' && (
+          <p role="status">{t('importExport.imported', { count: importedCount })}</p>
+        )}
+        
+        {step === 'preview' && (
+          <div>
+            <h3>{t('importExport.matched', { count: byStatus('matched').length })}</h3>
+            <ul>
+              {byStatus('matched').map(({ row, index, match }) => (
+                <li key={index}>
+                  <ImportRowLabel row={row} />
+                  <span style={{ color: theme.mutedText }}> {t('importExport.matchedAs', { movie: describeMovie(match.movie) })}</span>
+                </li>
+              ))}
+            </ul>
+            
+            <h3>{t('importExport.ambiguous', { count: byStatus('ambiguous').length })}</h3>
+            <ul>
+              {byStatus('ambiguous').map(({ row, index, match }) => (
+                <li key={index} style={{ marginBottom: '0.5rem' }}>
+                  <ImportRowLabel row={row} />{' '}
+                  <select
+                    value={choices[index] || ''}
+                    onChange={(e) => setChoices(prev => ({ ...prev, [index]: e.target.value }))}
+                    aria-label={t('importExport.matchFor', { title: row.title })}
+                    style={{ padding: '0.3rem', borderRadius: '4px', border: `1px solid ${theme.border}` }}
+                  >
+                    <option value="">{t('importExport.skip')}</option>
+                    {match.candidates.map(candidate => (
+                      <option key={candidate.id} value={String(candidate.id)}>{describeMovie(candidate)}</option>
+                    ))}
+                  </select>
+                </li>
+              ))}
+            </ul>
+            
+            <h3>{t('importExport.unmatched', { count: byStatus('unmatched').length })}</h3>
+            <ul>
+              {byStatus('unmatched').map(({ row, index }) => (
+                <li key={index}><ImportRowLabel row={row} /></li>
+              ))}
+            </ul>
+            
+            <div style={{ display: 'flex', gap: '1rem' }}>
+              <button onClick={handleImport} disabled={resolved.length === 0} style={buttonStyle}>
+                {t('importExport.importCount', { count: resolved.length })}
+              </button>
+              <button onClick={reset} style={{ ...buttonStyle, background: theme.neutral, color: theme.onNeutral }}>
+                {t('importExport.cancel')}
+              </button>
+            </div>
+          </div>
+        )}
+      </section>
+    </div>
+  );
+}
+
+// Everything the user has rated, highest first, with how their ratings are spread out
+function RatingsPage() {
+  const theme = useTheme();
+  const { t, language } = useContext(I18nContext);
+  const { ratings } = useContext(MovieContext);
+  const rated = Object.values(ratings)
+    .filter(entry => entry.rating !== null)
+    .sort((a, b) => b.rating - a.rating || b.updatedAt.localeCompare(a.updatedAt));
+  const counts = RATING_STEPS.map(step => rated.filter(entry => entry.rating === step).length);
+  const maxCount = Math.max(1, ...counts);
+  const average = rated.length ? rated.reduce((total, entry) => total + entry.rating, 0) / rated.length : 0;
+
+  return (
+    <div style={{ padding: '2rem' }}>
+      <BackButton />
+      
+      <h1>{t('ratings.title')}</h1>
+      {rated.length > 0 ? (
+        <>
+          <p style={{ color: theme.mutedText }}>
+            {t('ratings.summary', {
+              count: rated.length,
+              average: formatNumber(average, language, { minimumFractionDigits: 1, maximumFractionDigits: 1 })
+            })}
+          </p>
+          <ul aria-label={t('ratings.histogram')} style={{ listStyle: 'none', padding: 0, maxWidth: '500px', marginBottom: '2rem' }}>
+            {[...RATING_STEPS].reverse().map(step => {
+              const count = counts[RATING_STEPS.indexOf(step)];
+              return (
+                <li key={step} style={{ display: 'flex', alignItems: 'center', gap: '0.5rem', margin: '0.2rem 0' }}>
+                  <span style={{ width: '4rem' }}>{t('ratings.step', { step })}</span>
+                  <div aria-hidden="true" style={{ flex: 1, height: '1rem', background: theme.border, borderRadius: '4px' }}>
+                    <div style={{ 
+                      width: `${(count / maxCount) * 100}%`, 
+                      height: '100%', 
+                      background: theme.star, 
+                      borderRadius: '4px' 
+                    }} />
+                  </div>
+                  <span style={{ width: '2rem', textAlign: 'right' }}>{count}</span>
+                </li>
+              );
+            })}
+          </ul>
+          <MovieList movies={rated.map(entry => entry.movie)} headingLevel={2} />
+        </>
+      ) : (
+        <p>{t('ratings.empty')}</p>
+      )}
+    </div>
+  );
+}
+
+function CollectionsPage() {
+  const theme = useTheme();
+  const { collections, createCollection, renameCollection, deleteCollection } = useContext(MovieContext);
+  const { t } = useContext(I18nContext);
+  const [newName, setNewName] = useState('');
+  const [editing, setEditing] = useState(null);
+
+  const handleCreate = (e) => {
+    e.preventDefault();
+    if (!newName.trim()) return;
+    createCollection(newName);
+    setNewName('');
+  };
+
+  const handleRename = (e) => {
+    e.preventDefault();
+    if (editing.name.trim()) renameCollection(editing.id, editing.name);
+    setEditing(null);
+  };
+
+  const handleDelete = (collection) => {
+    if (window.confirm(t('collections.deleteConfirm', { name: collection.name }))) {
+      deleteCollection(collection.id);
+    }
+  };
+
+  return (
+    <div style={{ padding: '2rem' }}>
+      <BackButton />
+      
+      <h1>{t('collections.title')}</h1>
+      <form onSubmit={handleCreate} style={{ display: 'flex', gap: '0.5rem', marginBottom: '2rem', maxWidth: '500px' }}>
+        <input
+          type="text"
+          value={newName}
+          onChange={(e) => setNewName(e.target.value)}
+          placeholder={t('collections.newNamePlaceholder')}
+          aria-label={t('collections.newName')}
+          style={{ flex: 1, padding: '0.8rem', borderRadius: '4px', border: `1px solid ${theme.border}` }}
+        />
+        <button 
+          type="submit"
           style={{
             padding: '0.8rem 1.5rem',
-            background: '#4CAF50',
-            color: 'white',
+            background: theme.primary,
+            color: theme.onPrimary,
             border: 'none',
             borderRadius: '4px',
-            cursor: 'pointer',
-            fontSize: '1rem'
+            cursor: 'pointer'
           }}
         >
-          Login
+          {t('collections.create')}
         </button>
-        <button 
-          onClick={() => openAuthModal('signup')}
+      </form>
+      
+      {collections.length > 0 ? (
+        <ul style={{ listStyle: 'none', padding: 0, maxWidth: '600px' }}>
+          {collections.map(collection => (
+            <li 
+              key={collection.id}
+              style={{ 
+                display: 'flex', 
+                alignItems: 'center', 
+                justifyContent: 'space-between',
+                gap: '1rem',
+                padding: '0.8rem 0',
+                borderBottom: `1px solid ${theme.border}`
+              }}
+            >
+              {editing?.id === collection.id ? (
+                <form onSubmit={handleRename} style={{ display: 'flex', gap: '0.5rem', flex: 1 }}>
+                  <input
+                    type="text"
+                    value={editing.name}
+                    onChange={(e) => setEditing({ ...editing, name: e.target.value })}
+                    onKeyDown={(e) => {
+                      if (e.key === 'Escape') setEditing(null);
+                    }}
+                    aria-label={t('collections.renameLabel', { name: collection.name })}
+                    autoFocus
+                    style={{ flex: 1, padding: '0.4rem', borderRadius: '4px', border: `1px solid ${theme.border}` }}
+                  />
+                  <button type="submit" style={{ padding: '0.4rem 0.8rem', cursor: 'pointer' }}>{t('collections.save')}</button>
+                </form>
+              ) : (
+                <Link to={`/collections/${collection.id}`} style={{ color: 'inherit', flex: 1 }}>
+                  {collection.name}
+                  <span style={{ color: theme.mutedText, marginLeft: '0.5rem' }}>
+                    ({t('collections.count', { count: collection.movies.length })})
+                  </span>
+                </Link>
+              )}
+              <div style={{ display: 'flex', gap: '0.5rem' }}>
+                <button
+                  onClick={() => setEditing({ id: collection.id, name: collection.name })}
+                  aria-label={t('collections.renameLabel', { name: collection.name })}
+                  style={{ background: 'none', border: 'none', color: 'inherit', cursor: 'pointer' }}
+                >
+                  <FaEdit />
+                </button>
+                <button
+                  onClick={() => handleDelete(collection)}
+                  aria-label={t('collections.deleteLabel', { name: collection.name })}
+                  style={{ background: 'none', border: 'none', color: theme.danger, cursor: 'pointer' }}
+                >
+                  <FaTrash />
+                </button>
+              </div>
+            </li>
+          ))}
+        </ul>
+      ) : (
+        <p>{t('collections.empty')}</p>
+      )}
+    </div>
+  );
+}
+
+function CollectionPage() {
+  const theme = useTheme();
+  const { id } = useParams();
+  const { collections, moveInCollection } = useContext(MovieContext);
+  const { t, formatRuntime } = useContext(I18nContext);
+  const collection = collections.find(item => item.id === id);
+
+  if (!collection) {
+    return (
+      <div style={{ padding: '2rem' }}>
+        <BackButton />
+        <p>{t('collections.notFound')}</p>
+      </div>
+    );
+  }
+
+  const { movies } = collection;
+  // Runtimes come from the detail payload, so movies saved without one are left out of the total
+  const totalRuntime = movies.reduce((total, movie) => total + (movie.runtime || 0), 0);
+
+  return (
+    <div style={{ padding: '2rem' }}>
+      <BackButton />
+      
+      <h1>{collection.name}</h1>
+      <p style={{ color: theme.mutedText }}>
+        {t('collections.count', { count: movies.length })}
+        {totalRuntime > 0 && ` • ${t('collections.totalRuntime', { runtime: formatRuntime(totalRuntime) })}`}
+      </p>
+      {movies.length > 0 ? (
+        <MovieList movies={movies} onReorder={(from, to) => moveInCollection(collection.id, from, to)} headingLevel={2} />
+      ) : (
+        <p>{t('collections.emptyCollection')}</p>
+      )}
+    </div>
+  );
+}
+
+// Sticks to the bottom of the window while movies are picked for comparison; hidden on the
+// compare page itself, which has its own remove buttons
+function CompareTray() {
+  const theme = useTheme();
+  const { compareList, toggleCompare, clearCompare } = useContext(MovieContext);
+  const { t } = useContext(I18nContext);
+  const location = useLocation();
+  if (compareList.length === 0 || location.pathname === '/compare') return null;
+
+  return (
+    <section 
+      aria-label={t('compare.tray')}
+      style={{
+        position: 'sticky',
+        bottom: 0,
+        display: 'flex',
+        alignItems: 'center',
+        gap: '1rem',
+        flexWrap: 'wrap',
+        padding: '0.8rem 2rem',
+        background: theme.popoverBg,
+        color: theme.popoverText,
+        boxShadow: theme.popoverShadow,
+        zIndex: 10
+      }}
+    >
+      <strong>{t('compare.trayCount', { count: compareList.length, max: MAX_COMPARE })}</strong>
+      <ul style={{ display: 'flex', gap: '0.5rem', flexWrap: 'wrap', listStyle: 'none', margin: 0, padding: 0, flex: 1 }}>
+        {compareList.map(movie => (
+          <li 
+            key={movie.id} 
+            style={{ 
+              display: 'flex', 
+              alignItems: 'center', 
+              gap: '0.3rem', 
+              padding: '0.2rem 0.6rem', 
+              background: theme.chipBg, 
+              color: theme.chipText, 
+              borderRadius: '20px' 
+            }}
+          >
+            {movie.title}
+            <button
+              onClick={() => toggleCompare(movie)}
+              aria-label={t('compare.removeLabel', { title: movie.title })}
+              style={{ background: 'none', border: 'none', cursor: 'pointer', color: 'inherit', display: 'flex' }}
+            >
+              <FaTimes size={12} />
+            </button>
+          </li>
+        ))}
+      </ul>
+      {compareList.length > 1 ? (
+        <Link
+          to={`/compare?ids=${compareList.map(movie => movie.id).join(',')}`}
           style={{
-            padding: '0.8rem 1.5rem',
-            background: '#2196F3',
-            color: 'white',
-            border: 'none',
+            padding: '0.5rem 1rem',
+            background: theme.primary,
+            color: theme.onPrimary,
             borderRadius: '4px',
-            cursor: 'pointer',
-            fontSize: '1rem'
+            textDecoration: 'none'
           }}
         >
-          Sign Up
-        </button>
+          {t('compare.now')}
+        </Link>
+      ) : (
+        <span style={{ color: theme.mutedText }}>{t('compare.pickAnother')}</span>
+      )}
+      <button
+        onClick={clearCompare}
+        style={{ background: 'none', border: `1px solid ${theme.border}`, borderRadius: '4px', padding: '0.5rem 1rem', cursor: 'pointer', color: 'inherit' }}
+      >
+        {t('compare.clear')}
+      </button>
+    </section>
+  );
+}
+
+// Movies from ?ids= side by side, one column each, with the best value in each row highlighted.
+// Everything comes from the URL, so a comparison can be shared or bookmarked.
+function ComparePage() {
+  const theme = useTheme();
+  const { fetchDetailsInBackground } = useContext(MovieContext);
+  const { language, t, formatDate, formatRuntime } = useContext(I18nContext);
+  const [searchParams] = useSearchParams();
+  const navigate = useNavigate();
+  const ids = parseCompareIds(searchParams);
+  const idsKey = ids.join(',');
+  // { [id]: { movie } or { error } } for every id that has finished loading
+  const [results, setResults] = useState({});
+  const [attempt, setAttempt] = useState(0);
+
+  useEffect(() => {
+    const controller = new AbortController();
+    setResults({});
+    idsKey.split(',').filter(Boolean).forEach(id => {
+      fetchDetailsInBackground(id, controller.signal)
+        .then(movie => {
+          if (!controller.signal.aborted) setResults(prev => ({ ...prev, [id]: { movie } }));
+        })
+        .catch(err => {
+          if (!isAbortError(err)) setResults(prev => ({ ...prev, [id]: { error: err } }));
+        });
+    });
+    return () => controller.abort();
+  }, [idsKey, attempt, fetchDetailsInBackground]);
+
+  // Built by hand like the tray's link: URLSearchParams would write the commas as %2C
+  const removeMovie = (id) => {
+    const rest = ids.filter(other => other !== id);
+    navigate({ search: rest.length ? `?ids=${rest.join(',')}` : '' }, { replace: true });
+  };
+
+  if (ids.length === 0) {
+    return (
+      <div style={{ padding: '2rem' }}>
+        <BackButton />
+        <h1>{t('compare.title')}</h1>
+        <p>{t('compare.empty', { count: MAX_COMPARE })}</p>
       </div>
-    </WelcomeContainer>
+    );
+  }
+
+  if (ids.some(id => !results[id])) return (
+    <LoadingIndicator label={t('home.loadingMovies')} />
+  );
+
+  const movies = ids.map(id => results[id].movie).filter(Boolean);
+  const failed = ids.map(id => results[id].error).filter(Boolean);
+  const retryable = failed.find(err => err.type !== 'not_found');
+  const best = Object.fromEntries(COMPARE_ROWS.map(row => [row.key, bestInRow(row, movies)]));
+  const formatMoney = (value) => formatNumber(value, language, {
+    style: 'currency',
+    currency: 'USD',
+    notation: 'compact',
+    minimumFractionDigits: 0,
+    maximumFractionDigits: 1
+  });
+  const personLinks = (people) => people.map((person, index) => (
+    <React.Fragment key={person.id}>
+      {index > 0 && ', '}
+      <Link to={`/person/${person.id}`} style={{ color: 'inherit' }}>{person.name}</Link>
+    </React.Fragment>
+  ));
+
+  const renderCell = (key, movie) => {
+    switch (key) {
+      case 'rating':
+        return movie.vote_count === 0 ? null : t('detail.score', { score: (movie.vote_average ?? 0).toFixed(1) });
+      case 'runtime':
+        return movie.runtime ? formatRuntime(movie.runtime) : null;
+      case 'release':
+        return movie.release_date ? formatDate(movie.release_date) : null;
+      case 'genres':
+        return (movie.genres || []).map(genre => genre.name).join(', ') || null;
+      case 'director': {
+        const directors = getKeyCrew(movie.credits).find(({ role }) => role === 'Director')?.people || [];
+        return directors.length ? personLinks(directors) : null;
+      }
+      case 'cast': {
+        const cast = (movie.credits?.cast || []).slice(0, COMPARE_TOP_CAST);
+        return cast.length ? personLinks(cast) : null;
+      }
+      case 'budget':
+        return movie.budget ? formatMoney(movie.budget) : null;
+      case 'revenue':
+        return movie.revenue ? formatMoney(movie.revenue) : null;
+      default:
+        return null;
+    }
+  };
+
+  const cellStyle = { padding: '0.8rem', borderBottom: `1px solid ${theme.border}`, textAlign: 'start', verticalAlign: 'top' };
+
+  return (
+    <div style={{ padding: '2rem' }}>
+      <BackButton />
+      <h1>{t('compare.title')}</h1>
+      
+      {failed.length > 0 && (
+        retryable 
+          ? <ErrorMessage error={retryable} onRetry={() => setAttempt(count => count + 1)} />
+          : <p>{t('compare.notFound', { count: failed.length })}</p>
+      )}
+      
+      {movies.length > 0 && (
+        <div style={{ overflowX: 'auto' }}>
+          <table style={{ borderCollapse: 'collapse', width: '100%', minWidth: `${12 + movies.length * 12}rem` }}>
+            <thead>
+              <tr>
+                <td style={cellStyle} />
+                {movies.map(movie => (
+                  <th key={movie.id} scope="col" style={cellStyle}>
+                    <Link to={`/movie/${movie.id}`} style={{ color: 'inherit', textDecoration: 'none' }}>
+                      <img
+                        src={movie.poster_path 
+                          ? `https://image.tmdb.org/t/p/w200${movie.poster_path}`
+                          : backgroundImage}
+                        alt=""
+                        style={{ display: 'block', width: '100px', aspectRatio: '2/3', objectFit: 'cover', borderRadius: '4px', marginBottom: '0.5rem' }}
+                      />
+                      {movie.title}
+                    </Link>
+                    <button
+                      onClick={() => removeMovie(String(movie.id))}
+                      aria-label={t('compare.removeLabel', { title: movie.title })}
+                      style={{ display: 'flex', alignItems: 'center', gap: '0.3rem', marginTop: '0.5rem', background: 'none', border: 'none', padding: 0, cursor: 'pointer', color: theme.mutedText, fontWeight: 'normal' }}
+                    >
+                      <FaTimes size={12} /> {t('compare.remove')}
+                    </button>
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {COMPARE_ROWS.map(row => (
+                <tr key={row.key}>
+                  <th scope="row" style={{ ...cellStyle, color: theme.mutedText, whiteSpace: 'nowrap' }}>{t(`compare.rows.${row.key}`)}</th>
+                  {movies.map(movie => {
+                    const isBest = best[row.key].includes(movie.id);
+                    return (
+                      <td 
+                        key={movie.id} 
+                        style={isBest 
+                          ? { ...cellStyle, background: theme.chipBg, color: theme.chipText, fontWeight: 'bold' } 
+                          : cellStyle}
+                      >
+                        {renderCell(row.key, movie) ?? '—'}
+                        {isBest && <VisuallyHidden> {t('compare.best')}</VisuallyHidden>}
+                      </td>
+                    );
+                  })}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
   );
 }
 
-function MovieList({ movies }) {
-  const { toggleFavorite, favorites } = useContext(MovieContext);
-  
+// "Pick for me": a random movie from favorites, the watchlist or Discover results that fits the
+// limits, weighted by rating. Vetoed picks are left out of later rolls until the vetoes are cleared.
+function PickerPage() {
+  const theme = useTheme();
+  const {
+    favorites,
+    watchlist,
+    watched,
+    ratings,
+    genres,
+    loadGenres,
+    discoverMovies,
+    fetchDetailsInBackground,
+    settings
+  } = useContext(MovieContext);
+  const { t, formatRuntime } = useContext(I18nContext);
+  const [searchParams, setSearchParams] = useSearchParams();
+  const paramsKey = searchParams.toString();
+  const options = useMemo(() => parsePickerOptions(new URLSearchParams(paramsKey)), [paramsKey]);
+  const discoverFilters = useMemo(() => parseDiscoverFilters(new URLSearchParams(paramsKey)), [paramsKey]);
+  const discoverKey = new URLSearchParams(toDiscoverSearchParams(discoverFilters)).toString();
+  const pickId = Number(searchParams.get('pick')) || null;
+  const [discoverPool, setDiscoverPool] = useState({ movies: [], loading: false, error: null });
+  const [attempt, setAttempt] = useState(0);
+  // Runtimes fetched for pool movies whose summary has none (null when the details don't say)
+  const [runtimes, setRuntimes] = useState({});
+  const [vetoed, setVetoed] = useState([]);
+  const [picked, setPicked] = useState({ movie: null, loading: false, error: null });
+
+  useEffect(() => {
+    loadGenres().catch(() => {
+      // Genre limits just aren't offered
+    });
+  }, [loadGenres]);
+
+  // The first page of the Discover query, with the viewer's services like DiscoverPage
+  useEffect(() => {
+    if (options.pool !== 'discover') return;
+    let ignore = false;
+    const filters = parseDiscoverFilters(new URLSearchParams(discoverKey));
+    const query = filters.onMyServices
+      ? { ...filters, providers: settings.services, region: settings.region }
+      : filters;
+    setDiscoverPool({ movies: [], loading: true, error: null });
+    discoverMovies(query)
+      .then(data => {
+        if (!ignore) setDiscoverPool({ movies: mergeUniqueMovies([], data.results), loading: false, error: null });
+      })
+      .catch(err => {
+        if (!ignore) setDiscoverPool({ movies: [], loading: false, error: err });
+      });
+    return () => {
+      ignore = true;
+    };
+  }, [options.pool, discoverKey, attempt, discoverMovies, settings.services, settings.region]);
+
+  const pool = useMemo(() => {
+    const source = { favorites, watchlist, discover: discoverPool.movies }[options.pool];
+    return source.map(movie => (movie.runtime || !runtimes[movie.id] ? movie : { ...movie, runtime: runtimes[movie.id] }));
+  }, [options.pool, favorites, watchlist, discoverPool.movies, runtimes]);
+
+  const missingRuntimes = options.maxRuntime
+    ? pool.filter(movie => !movie.runtime && !(movie.id in runtimes)).map(movie => movie.id).join(',')
+    : '';
+
+  useEffect(() => {
+    if (!missingRuntimes) return;
+    const controller = new AbortController();
+    const ids = missingRuntimes.split(',');
+    mapWithConcurrency(ids, PICKER_DETAIL_CONCURRENCY, id => fetchDetailsInBackground(id, controller.signal)
+      .then(movie => movie.runtime || null)
+      .catch(() => null))
+      .then(values => {
+        if (!controller.signal.aborted) {
+          setRuntimes(prev => ({ ...prev, ...Object.fromEntries(ids.map((id, index) => [id, values[index]])) }));
+        }
+      });
+    return () => controller.abort();
+  }, [missingRuntimes, fetchDetailsInBackground]);
+
+  // The picked movie's details, which a shared link also needs when the pick isn't in the viewer's pool
+  useEffect(() => {
+    if (!pickId) {
+      setPicked({ movie: null, loading: false, error: null });
+      return;
+    }
+    const controller = new AbortController();
+    setPicked(prev => ({ movie: prev.movie?.id === pickId ? prev.movie : null, loading: true, error: null }));
+    fetchDetailsInBackground(pickId, controller.signal)
+      .then(movie => {
+        if (!controller.signal.aborted) setPicked({ movie, loading: false, error: null });
+      })
+      .catch(err => {
+        if (!controller.signal.aborted) setPicked({ movie: null, loading: false, error: err });
+      });
+    return () => controller.abort();
+  }, [pickId, fetchDetailsInBackground]);
+
+  const matching = pool.filter(movie => meetsPickerLimits(movie, options, watched));
+  const candidates = matching.filter(movie => !vetoed.includes(movie.id));
+  const poolGenreIds = new Set(pool.flatMap(movie => movie.genre_ids || []));
+  const poolGenres = genres.filter(genre => poolGenreIds.has(genre.id));
+  // useHref adds the router's basename, so the link also works when the app is served from a sub-path
+  const pickHref = useHref(`/pick?${paramsKey}`);
+  const shareUrl = pickId ? new URL(pickHref, window.location.origin).href : '';
+
+  // Changing a limit clears the current pick, since it may no longer fit
+  const updateOptions = (changes) => {
+    const next = new URLSearchParams(searchParams);
+    Object.entries(changes).forEach(([field, value]) => {
+      const text = Array.isArray(value) ? value.join(',') : String(value || '');
+      if (text && !(field === 'pool' && value === PICKER_POOLS[0].value)) {
+        next.set(PICKER_PARAMS[field], text);
+      } else {
+        next.delete(PICKER_PARAMS[field]);
+      }
+    });
+    next.delete('pick');
+    setSearchParams(next, { replace: true });
+  };
+
+  const showPick = (movie) => {
+    const next = new URLSearchParams(searchParams);
+    if (movie) {
+      next.set('pick', String(movie.id));
+    } else {
+      next.delete('pick');
+    }
+    setSearchParams(next);
+  };
+
+  // Re-rolls avoid the current pick whenever anything else fits
+  const roll = (exclude = []) => {
+    const remaining = candidates.filter(movie => !exclude.includes(movie.id));
+    showPick(pickWeighted(remaining.length ? remaining : candidates, movie => pickWeight(movie, ratings)));
+  };
+
+  const veto = () => {
+    setVetoed(prev => [...prev, pickId]);
+    const remaining = candidates.filter(movie => movie.id !== pickId);
+    showPick(pickWeighted(remaining, movie => pickWeight(movie, ratings)));
+  };
+
+  // A genre can be included or excluded, not both
+  const toggleGenre = (list, id, checked) => {
+    const other = list === 'include' ? 'exclude' : 'include';
+    updateOptions({
+      [list]: checked ? [...options[list], id] : options[list].filter(genreId => genreId !== id),
+      [other]: options[other].filter(genreId => genreId !== id)
+    });
+  };
+
+  const fieldStyle = { padding: '0.5rem', borderRadius: '4px', border: `1px solid ${theme.border}` };
+  const labelStyle = { display: 'flex', flexDirection: 'column', gap: '0.3rem' };
+  const buttonStyle = (background, color) => ({
+    padding: '0.6rem 1.2rem',
+    background,
+    color,
+    border: 'none',
+    borderRadius: '4px',
+    cursor: 'pointer'
+  });
+  const poolLoading = options.pool === 'discover' && discoverPool.loading;
+  // The message keeps {link} so the Discover link can be placed inside the translated sentence
+  const [beforeDiscoverLink, afterDiscoverLink] = t('picker.fromDiscover').split('{link}');
+
   return (
-    <MovieGrid>
-      {movies.map((movie) => {
-        const trailer = movie.videos?.results?.find(video => video.type === 'Trailer');
-        
-        return (
-          <div key={movie.id}>
-            <Link to={`/movie/${movie.id}`} style={{ textDecoration: 'none', color: 'inherit' }}>
-              <MovieCard>
-                <img
-                  src={movie.poster_path 
-                    ? `https://image.tmdb.org/t/p/w500${movie.poster_path}`
-                    : backgroundImage}
-                  alt={movie.title}
-                  style={{ 
-                    width: '100%', 
-                    height: 'auto',
-                    aspectRatio: '2/3',
-                    objectFit: 'cover'
-                  }}
-                />
-                <div style={{ padding: '1rem' }}>
-                  <h3>{movie.title}</h3>
-                  <div style={{ display: 'flex', alignItems: 'center', gap: '0.5rem' }}>
-                    <FaStar color="#FFD700" />
-                    <span>{movie.vote_average.toFixed(1)}</span>
-                  </div>
+    <div style={{ padding: '2rem' }}>
+      <h1>{t('picker.title')}</h1>
+
+      <div style={{ display: 'flex', gap: '1.5rem', flexWrap: 'wrap', alignItems: 'flex-end', marginBottom: '1rem' }}>
+        <label style={labelStyle}>
+          {t('picker.pool')}
+          <select value={options.pool} onChange={(e) => updateOptions({ pool: e.target.value })} style={fieldStyle}>
+            {PICKER_POOLS.map(option => (
+              <option key={option.value} value={option.value}>{t(`picker.pools.${option.value}`)}</option>
+            ))}
+          </select>
+        </label>
+        <label style={labelStyle}>
+          {t('picker.maxRuntime')}
+          <input
+            type="number"
+            min="0"
+            step="5"
+            value={options.maxRuntime || ''}
+            onChange={(e) => updateOptions({ maxRuntime: Number(e.target.value) })}
+            style={{ ...fieldStyle, width: '7rem' }}
+          />
+        </label>
+        <label style={labelStyle}>
+          {t('picker.minRating')}
+          <input
+            type="number"
+            min="0"
+            max="10"
+            step="0.5"
+            value={options.minRating || ''}
+            onChange={(e) => updateOptions({ minRating: Number(e.target.value) })}
+            style={{ ...fieldStyle, width: '7rem' }}
+          />
+        </label>
+        <label style={labelStyle}>
+          {t('picker.notWatchedMonths')}
+          <input
+            type="number"
+            min="0"
+            value={options.notWatchedMonths || ''}
+            onChange={(e) => updateOptions({ notWatchedMonths: Number(e.target.value) })}
+            style={{ ...fieldStyle, width: '7rem' }}
+          />
+        </label>
+      </div>
+
+      {options.pool === 'discover' && (
+        <p>
+          {beforeDiscoverLink}
+          <Link to={`/discover${discoverKey ? `?${discoverKey}` : ''}`} style={{ color: theme.link }}>{t('picker.discoverLink')}</Link>
+          {afterDiscoverLink}
+        </p>
+      )}
+
+      {poolGenres.length > 0 && (
+        <div style={{ display: 'flex', gap: '1rem', flexWrap: 'wrap', marginBottom: '1rem' }}>
+          {['include', 'exclude'].map(list => (
+            <fieldset key={list} style={{ border: `1px solid ${theme.border}`, borderRadius: '4px' }}>
+              <legend>{t(`picker.${list}Genres`)}</legend>
+              <div style={{ display: 'flex', gap: '0.8rem', flexWrap: 'wrap' }}>
+                {poolGenres.map(genre => (
+                  <label key={genre.id} style={{ display: 'flex', alignItems: 'center', gap: '0.3rem' }}>
+                    <input
+                      type="checkbox"
+                      checked={options[list].includes(genre.id)}
+                      onChange={(e) => toggleGenre(list, genre.id, e.target.checked)}
+                    />
+                    {genre.name}
+                  </label>
+                ))}
+              </div>
+            </fieldset>
+          ))}
+        </div>
+      )}
+
+      {discoverPool.error && options.pool === 'discover' && (
+        <ErrorMessage error={discoverPool.error} onRetry={() => setAttempt(count => count + 1)} />
+      )}
+
+      {poolLoading || missingRuntimes ? (
+        <LoadingIndicator label={poolLoading ? t('home.loadingMovies') : t('picker.checkingRuntimes')} size={50} />
+      ) : (
+        <div style={{ display: 'flex', alignItems: 'center', gap: '1rem', flexWrap: 'wrap', marginBottom: '1.5rem' }}>
+          <button onClick={() => roll()} disabled={candidates.length === 0} style={buttonStyle(theme.primary, theme.onPrimary)}>
+            {t('picker.pick')}
+          </button>
+          <span style={{ color: theme.mutedText }}>
+            {t('picker.fits', { fitting: candidates.length, count: pool.length })}
+            {vetoed.length > 0 && ` • ${t('picker.vetoed', { count: vetoed.length })}`}
+          </span>
+          {vetoed.length > 0 && (
+            <button 
+              onClick={() => setVetoed([])}
+              style={{ background: 'none', border: 'none', color: theme.link, cursor: 'pointer', textDecoration: 'underline' }}
+            >
+              {t('picker.clearVetoes')}
+            </button>
+          )}
+        </div>
+      )}
+
+      {!pickId && vetoed.length > 0 && matching.length > 0 && candidates.length === 0 && (
+        <p>{t('picker.allVetoed')}</p>
+      )}
+
+      {pickId && (
+        <section aria-label={t('picker.tonightsPick')} style={{ display: 'flex', gap: '1.5rem', flexWrap: 'wrap' }}>
+          {picked.loading && !picked.movie && <LoadingIndicator label={t('detail.loading')} size={50} />}
+          {picked.error && <ErrorMessage error={picked.error} />}
+          {picked.movie && (
+            <>
+              <img
+                src={picked.movie.poster_path 
+                  ? `https://image.tmdb.org/t/p/w300${picked.movie.poster_path}`
+                  : backgroundImage}
+                alt={picked.movie.title}
+                style={{ width: '200px', borderRadius: '8px', flexShrink: 0 }}
+              />
+              <div style={{ flex: 1, minWidth: '260px' }}>
+                <p style={{ margin: 0, color: theme.mutedText }}>{t('picker.tonightsPick')}</p>
+                <h2 style={{ marginTop: '0.3rem' }}>
+                  <Link to={`/movie/${picked.movie.id}`} style={{ color: 'inherit' }}>{picked.movie.title}</Link>
+                  {picked.movie.release_date && ` (${releaseYear(picked.movie)})`}
+                </h2>
+                <p style={{ display: 'flex', alignItems: 'center', gap: '0.5rem' }}>
+                  <FaStar color={theme.star} /> {(picked.movie.vote_average ?? 0).toFixed(1)}
+                  {picked.movie.runtime > 0 && <span>• {formatRuntime(picked.movie.runtime)}</span>}
+                </p>
+                <p>{picked.movie.overview}</p>
+                <div style={{ display: 'flex', gap: '0.5rem', flexWrap: 'wrap', marginBottom: '1rem' }}>
+                  <button onClick={veto} style={buttonStyle(theme.danger, theme.onDanger)}>{t('picker.veto')}</button>
+                  <button onClick={() => roll([pickId])} disabled={candidates.length === 0} style={buttonStyle(theme.secondary, theme.onSecondary)}>
+                    {t('picker.reroll')}
+                  </button>
                 </div>
-              </MovieCard>
-            </Link>
-            
-            <div style={{ 
-              display: 'flex', 
-              justifyContent: 'space-between', 
-              alignItems: 'center',
-              marginTop: '0.5rem'
-            }}>
-              <button 
-                onClick={() => toggleFavorite(movie)}
-                style={{ 
-                  background: 'none', 
-                  border: 'none', 
-                  cursor: 'pointer',
-                  display: 'flex',
-                  alignItems: 'center',
-                  gap: '0.3rem'
+                <label style={labelStyle}>
+                  {t('picker.share')}
+                  <input 
+                    readOnly 
+                    value={shareUrl} 
+                    onFocus={(e) => e.target.select()} 
+                    style={{ ...fieldStyle, maxWidth: '32rem' }} 
+                  />
+                </label>
+              </div>
+            </>
+          )}
+        </section>
+      )}
+    </div>
+  );
+}
+
+// Keeps partially typed years ("19") locally and only reports complete ones (or a cleared field)
+function YearInput({ value, onChange, style }) {
+  const { t } = useContext(I18nContext);
+  const [draft, setDraft] = useState(value ?? '');
+
+  useEffect(() => {
+    setDraft(value ?? '');
+  }, [value]);
+
+  const handleChange = (e) => {
+    setDraft(e.target.value);
+    const year = parseYear(e.target.value);
+    if (year || e.target.value === '') onChange(year);
+  };
+
+  return (
+    <input
+      type="number"
+      min="1874"
+      max="2100"
+      placeholder={t('discover.anyYear')}
+      value={draft}
+      onChange={handleChange}
+      style={style}
+    />
+  );
+}
+
+// The streaming services TMDB lists for the user's region, as checkboxes saved to their settings
+function StreamingServicePicker() {
+  const theme = useTheme();
+  const { t } = useContext(I18nContext);
+  const { settings, updateSettings, fetchWatchProviders } = useContext(MovieContext);
+  const [providers, setProviders] = useState([]);
+  const [error, setError] = useState(null);
+  const [attempt, setAttempt] = useState(0);
+
+  useEffect(() => {
+    const controller = new AbortController();
+    setError(null);
+    fetchWatchProviders(settings.region, controller.signal)
+      .then(setProviders)
+      .catch(err => {
+        if (!isAbortError(err)) setError(err);
+      });
+    return () => controller.abort();
+  }, [settings.region, attempt, fetchWatchProviders]);
+
+  const toggleService = (id) => {
+    updateSettings({
+      services: settings.services.includes(id)
+        ? settings.services.filter(serviceId => serviceId !== id)
+        : [...settings.services, id]
+    });
+  };
+
+  return (
+    <fieldset style={{ border: `1px solid ${theme.border}`, borderRadius: '4px', marginBottom: '1rem' }}>
+      <legend>{t('discover.myServices', { region: regionName(settings.region) })}</legend>
+      {error && <ErrorMessage error={error} onRetry={() => setAttempt(count => count + 1)} />}
+      <div style={{ display: 'flex', gap: '1rem', flexWrap: 'wrap' }}>
+        {providers.map(provider => (
+          <label key={provider.provider_id} style={{ display: 'flex', alignItems: 'center', gap: '0.3rem' }}>
+            <input
+              type="checkbox"
+              checked={settings.services.includes(provider.provider_id)}
+              onChange={() => toggleService(provider.provider_id)}
+            />
+            {provider.provider_name}
+          </label>
+        ))}
+      </div>
+      {settings.services.length === 0 && (
+        <p style={{ color: theme.mutedText, marginBottom: 0 }}>{t('discover.pickServices')}</p>
+      )}
+    </fieldset>
+  );
+}
+
+function DiscoverPage() {
+  const theme = useTheme();
+  const { t, language } = useContext(I18nContext);
+  const { genres, loadGenres, discoverMovies, settings } = useContext(MovieContext);
+  const [searchParams, setSearchParams] = useSearchParams();
+  const [results, setResults] = useState([]);
+  const [pagination, setPagination] = useState({ page: 0, totalPages: 1 });
+  const [loading, setLoading] = useState(true);
+  const [loadingMore, setLoadingMore] = useState(false);
+  const [error, setError] = useState(null);
+  const [attempt, setAttempt] = useState(0);
+  const filterKey = searchParams.toString();
+  const filters = useMemo(() => parseDiscoverFilters(new URLSearchParams(filterKey)), [filterKey]);
+  // What is actually sent: the URL filters plus the user's services when ?services=1 is on
+  const query = useMemo(() => (filters.onMyServices
+    ? { ...filters, providers: settings.services, region: settings.region }
+    : filters
+  ), [filters, settings.services, settings.region]);
+  // With no services picked there is nothing to filter by, so nothing is fetched until one is
+  const awaitingServices = filters.onMyServices && settings.services.length === 0;
+  // The query the shown results belong to; a "load more" answered after it changes is dropped
+  const activeQuery = useRef(query);
+
+  useEffect(() => {
+    loadGenres().catch(setError);
+  }, [loadGenres]);
+
+  // Re-run the query from page 1 whenever the filters in the URL change
+  useEffect(() => {
+    let ignore = false;
+    activeQuery.current = query;
+    setError(null);
+    if (awaitingServices) {
+      setResults([]);
+      setPagination({ page: 0, totalPages: 1 });
+      setLoading(false);
+      return;
+    }
+    setLoading(true);
+    discoverMovies(query)
+      .then(data => {
+        if (ignore) return;
+        setResults(mergeUniqueMovies([], data.results));
+        setPagination({ page: data.page, totalPages: data.total_pages });
+      })
+      .catch(err => {
+        if (!ignore) setError(err);
+      })
+      .finally(() => {
+        if (!ignore) setLoading(false);
+      });
+    return () => {
+      ignore = true;
+    };
+  }, [query, awaitingServices, attempt, discoverMovies]);
+
+  const loadMore = useCallback(async () => {
+    if (loadingMore || pagination.page >= pagination.totalPages) return;
+    setLoadingMore(true);
+    setError(null);
+    try {
+      const data = await discoverMovies(query, pagination.page + 1);
+      if (activeQuery.current !== query) return;
+      setResults(prev => mergeUniqueMovies(prev, data.results));
+      setPagination({ page: data.page, totalPages: data.total_pages });
+    } catch (err) {
+      if (activeQuery.current === query) setError(err);
+    } finally {
+      setLoadingMore(false);
+    }
+  }, [loadingMore, pagination, query, discoverMovies]);
+
+  // `replace` keeps every keystroke in the year fields from adding a history entry
+  const updateFilters = (changes) => {
+    setSearchParams(toDiscoverSearchParams({ ...filters, ...changes }), { replace: true });
+  };
+
+  const toggleGenre = (id) => {
+    updateFilters({
+      genres: filters.genres.includes(id)
+        ? filters.genres.filter(genreId => genreId !== id)
+        : [...filters.genres, id]
+    });
+  };
+
+  const fieldStyle = {
+    padding: '0.5rem',
+    borderRadius: '4px',
+    border: `1px solid ${theme.border}`
+  };
+
+  return (
+    <div style={{ padding: '2rem' }}>
+      <h1>{t('discover.title')}</h1>
+
+      <div style={{ marginBottom: '1rem' }}>
+        <SectionHeading>{t('discover.genres')}</SectionHeading>
+        <div style={{ display: 'flex', gap: '0.5rem', flexWrap: 'wrap' }}>
+          {genres.map(genre => {
+            const selected = filters.genres.includes(genre.id);
+            return (
+              <button
+                key={genre.id}
+                onClick={() => toggleGenre(genre.id)}
+                aria-pressed={selected}
+                style={{
+                  padding: '0.3rem 0.8rem',
+                  borderRadius: '20px',
+                  border: `1px solid ${theme.chipBorder}`,
+                  background: selected ? theme.chipBg : 'none',
+                  color: selected ? theme.chipText : 'inherit',
+                  cursor: 'pointer'
                 }}
               >
-                {favorites.some(fav => fav.id === movie.id) 
-                  ? <><FaHeart color="red" size={20} /> Added</>
-                  : <><FaRegHeart color="red" size={20} /> Add</>}
+                {genre.name}
               </button>
-              
-              {trailer && (
-                <a 
-                  href={`https://www.youtube.com/watch?v=${trailer.key}`}
-                  target="_blank"
-                  rel="noopener noreferrer"
-                  style={{
-                    display: 'flex',
-                    alignItems: 'center',
-                    gap: '0.3rem',
-                    background: '#FF0000',
-                    color: 'white',
-                    padding: '0.3rem 0.6rem',
-                    borderRadius: '4px',
-                    textDecoration: 'none'
-                  }}
-                >
-                  <FaPlay size={14} /> Trailer
-                </a>
-              )}
-            </div>
-          </div>
-        );
-      })}
-    </MovieGrid>
+            );
+          })}
+        </div>
+      </div>
+
+      <div style={{ display: 'flex', gap: '1.5rem', flexWrap: 'wrap', alignItems: 'flex-end', marginBottom: '1rem' }}>
+        <label style={{ display: 'flex', flexDirection: 'column', gap: '0.3rem' }}>
+          {t('discover.releasedFrom')}
+          <YearInput
+            value={filters.yearFrom}
+            onChange={yearFrom => updateFilters({ yearFrom })}
+            style={{ ...fieldStyle, width: '6rem' }}
+          />
+        </label>
+        <label style={{ display: 'flex', flexDirection: 'column', gap: '0.3rem' }}>
+          {t('discover.releasedTo')}
+          <YearInput
+            value={filters.yearTo}
+            onChange={yearTo => updateFilters({ yearTo })}
+            style={{ ...fieldStyle, width: '6rem' }}
+          />
+        </label>
+        <label style={{ display: 'flex', flexDirection: 'column', gap: '0.3rem' }}>
+          {t('discover.minRating', {
+            rating: formatNumber(filters.minRating, language, { minimumFractionDigits: 1, maximumFractionDigits: 1 })
+          })}
+          <input
+            type="range"
+            min="0"
+            max="10"
+            step="0.5"
+            value={filters.minRating}
+            onChange={(e) => updateFilters({ minRating: Number(e.target.value) })}
+          />
+        </label>
+        <label style={{ display: 'flex', flexDirection: 'column', gap: '0.3rem' }}>
+          {t('discover.originalLanguage')}
+          <select
+            value={filters.language}
+            onChange={(e) => updateFilters({ language: e.target.value })}
+            style={fieldStyle}
+          >
+            <option value="">{t('discover.anyLanguage')}</option>
+            {DISCOVER_LANGUAGES.map(option => (
+              <option key={option.value} value={option.value}>{t(`discover.languages.${option.value}`)}</option>
+            ))}
+          </select>
+        </label>
+        <label style={{ display: 'flex', flexDirection: 'column', gap: '0.3rem' }}>
+          {t('discover.sortBy')}
+          <select
+            value={filters.sortBy}
+            onChange={(e) => updateFilters({ sortBy: e.target.value })}
+            style={fieldStyle}
+          >
+            {DISCOVER_SORT_OPTIONS.map(option => (
+              <option key={option.value} value={option.value}>{t(`discover.sort.${option.value}`)}</option>
+            ))}
+          </select>
+        </label>
+        <label style={{ display: 'flex', alignItems: 'center', gap: '0.3rem', padding: '0.5rem 0' }}>
+          <input
+            type="checkbox"
+            checked={filters.onMyServices}
+            onChange={(e) => updateFilters({ onMyServices: e.target.checked })}
+          />
+          {t('discover.onMyServices')}
+        </label>
+        {filterKey && (
+          <button
+            onClick={() => setSearchParams({}, { replace: true })}
+            style={{
+              padding: '0.5rem 1rem',
+              background: theme.danger,
+              color: theme.onDanger,
+              border: 'none',
+              borderRadius: '4px',
+              cursor: 'pointer'
+            }}
+          >
+            {t('discover.reset')}
+          </button>
+        )}
+      </div>
+
+      {filters.onMyServices && <StreamingServicePicker />}
+
+      {results.length > 0 && (
+        <p>
+          <Link to={`/pick?pool=discover${filterKey ? `&${filterKey}` : ''}`} style={{ color: theme.link }}>
+            {t('discover.pickOne')}
+          </Link>
+        </p>
+      )}
+
+      {error && (
+        <ErrorMessage 
+          error={error} 
+          onRetry={results.length > 0 ? loadMore : () => setAttempt(count => count + 1)} 
+        />
+      )}
+
+      {awaitingServices ? (
+        <p>{t('discover.awaitingServices')}</p>
+      ) : loading ? (
+        <LoadingIndicator label={t('home.loadingMovies')} />
+      ) : results.length > 0 ? (
+        <MovieList
+          movies={results}
+          onLoadMore={loadMore}
+          hasMore={pagination.page < pagination.totalPages}
+          isLoadingMore={loadingMore}
+        />
+      ) : (
+        <p>{t('discover.empty')}</p>
+      )}
+    </div>
   );
 }
 
-function MovieDetail() {
-  const { id } = useParams();
-  const { fetchMovieDetails, toggleFavorite, favorites } = useContext(MovieContext);
-  const [movie, setMovie] = useState(null);
-  const [loading, setLoading] = useState(true);
+// Search input with a debounced type-ahead dropdown (combobox pattern): arrow keys move through
+// the suggestions, Enter opens the highlighted movie, Escape closes the list
+function SearchBox({ value, onChange }) {
+  const theme = useTheme();
+  const { fetchSuggestions } = useContext(MovieContext);
+  const { t } = useContext(I18nContext);
   const navigate = useNavigate();
+  const [suggestions, setSuggestions] = useState([]);
+  const [isOpen, setIsOpen] = useState(false);
+  const [activeIndex, setActiveIndex] = useState(-1);
+  const debouncedValue = useDebouncedValue(value.trim(), SUGGESTION_DEBOUNCE_MS);
 
   useEffect(() => {
-    const loadMovie = async () => {
-      try {
-        const data = await fetchMovieDetails(id);
-        setMovie(data);
-      } catch (err) {
-        console.error(err);
-      } finally {
-        setLoading(false);
-      }
-    };
-    loadMovie();
-  }, [id, fetchMovieDetails]);
+    if (debouncedValue.length < 2) {
+      setSuggestions([]);
+      return;
+    }
 
-  if (loading) return (
-    <div style={{ display: 'flex', justifyContent: 'center', padding: '2rem' }}>
-      <PuffLoader color="#36d7b7" size={100} />
-    </div>
-  );
-  
-  if (!movie) return <div>Movie not found</div>;
+    const controller = new AbortController();
+    fetchSuggestions(debouncedValue, controller.signal)
+      .then(results => {
+        setSuggestions(results);
+        setActiveIndex(-1);
+      })
+      .catch(err => {
+        if (!isAbortError(err)) setSuggestions([]);
+      });
+    return () => controller.abort();
+  }, [debouncedValue, fetchSuggestions]);
 
-  const isFavorite = favorites.some(fav => fav.id === movie.id);
-  const trailer = movie.videos?.results.find(video => video.type === 'Trailer');
+  const openSuggestion = (movie) => {
+    setIsOpen(false);
+    navigate(`/movie/${movie.id}`);
+  };
+
+  const handleKeyDown = (e) => {
+    if (!isOpen || suggestions.length === 0) return;
+    if (e.key === 'ArrowDown') {
+      e.preventDefault();
+      setActiveIndex(index => (index + 1) % suggestions.length);
+    } else if (e.key === 'ArrowUp') {
+      e.preventDefault();
+      setActiveIndex(index => (index <= 0 ? suggestions.length - 1 : index - 1));
+    } else if (e.key === 'Enter' && activeIndex >= 0) {
+      e.preventDefault();
+      openSuggestion(suggestions[activeIndex]);
+    } else if (e.key === 'Enter' || e.key === 'Escape') {
+      setIsOpen(false);
+    }
+  };
+
+  const showList = isOpen && suggestions.length > 0 && value.trim().length >= 2;
 
   return (
-    <MovieDetailContainer>
-      <button 
-        onClick={() => navigate(-1)}
-        style={{
-          display: 'flex',
-          alignItems: 'center',
-          gap: '0.5rem',
-          padding: '0.5rem 1rem',
-          marginBottom: '1rem',
-          background: 'none',
-          border: '1px solid #ddd',
+    <div style={{ position: 'relative', flex: 1, maxWidth: '500px' }}>
+      <input
+        type="text"
+        value={value}
+        onChange={(e) => {
+          onChange(e.target.value);
+          setIsOpen(true);
+        }}
+        onKeyDown={handleKeyDown}
+        onFocus={() => setIsOpen(true)}
+        onBlur={() => setIsOpen(false)}
+        placeholder={t('home.searchPlaceholder')}
+        aria-label={t('home.searchLabel')}
+        role="combobox"
+        aria-autocomplete="list"
+        aria-expanded={showList}
+        aria-controls="search-suggestions"
+        aria-activedescendant={showList && activeIndex >= 0 ? `search-suggestion-${suggestions[activeIndex].id}` : undefined}
+        style={{ 
+          padding: '0.8rem', 
+          width: '100%',
+          boxSizing: 'border-box',
           borderRadius: '4px',
-          cursor: 'pointer',
-          color: 'inherit'
+          border: `1px solid ${theme.border}`
         }}
-      >
-        <FaArrowLeft /> Back
-      </button>
-      
-      <div style={{ display: 'flex', gap: '2rem', marginBottom: '2rem', flexWrap: 'wrap' }}>
-        <img
-          src={movie.poster_path 
-            ? `https://image.tmdb.org/t/p/w500${movie.poster_path}`
-            : backgroundImage}
-          alt={movie.title}
-          style={{ width: '300px', borderRadius: '8px', flexShrink: 0 }}
-        />
-        <div style={{ flex: 1, minWidth: '300px' }}>
-          <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between' }}>
-            <h1>{movie.title} ({new Date(movie.release_date).getFullYear()})</h1>
-            <button 
-              onClick={() => toggleFavorite(movie)}
-              style={{ 
-                background: 'none', 
-                border: 'none', 
-                cursor: 'pointer',
-                display: 'flex',
-                alignItems: 'center',
-                gap: '0.5rem'
+      />
+      {showList && (
+        <ul
+          id="search-suggestions"
+          role="listbox"
+          aria-label={t('home.suggestions')}
+          style={{
+            position: 'absolute',
+            top: '100%',
+            left: 0,
+            right: 0,
+            margin: '0.25rem 0 0',
+            padding: 0,
+            listStyle: 'none',
+            background: theme.popoverBg,
+            color: theme.popoverText,
+            border: `1px solid ${theme.border}`,
+            borderRadius: '4px',
+            boxShadow: theme.popoverShadow,
+            zIndex: 50
+          }}
+        >
+          {suggestions.map((movie, index) => (
+            <li
+              key={movie.id}
+              id={`search-suggestion-${movie.id}`}
+              role="option"
+              aria-selected={index === activeIndex}
+              // mousedown fires before the input's blur closes the list
+              onMouseDown={(e) => {
+                e.preventDefault();
+                openSuggestion(movie);
               }}
-            >
-              {isFavorite ? <FaHeart color="red" size={24} /> : <FaRegHeart color="red" size={24} />}
-              {isFavorite ? 'Remove Favorite' : 'Add to Favorites'}
-            </button>
-          </div>
-          
-          <div style={{ display: 'flex', alignItems: 'center', gap: '1rem', margin: '1rem 0' }}>
-            <div style={{ display: 'flex', alignItems: 'center', gap: '0.3rem' }}>
-              <FaStar color="#FFD700" />
-              <span>{movie.vote_average.toFixed(1)}/10</span>
-            </div>
-            <span>•</span>
-            <span>{movie.runtime} min</span>
-            <span>•</span>
-            <span>{movie.release_date}</span>
-          </div>
-          
-          <div style={{ marginBottom: '1rem' }}>
-            <h3>Genres</h3>
-            <div style={{ display: 'flex', gap: '0.5rem', flexWrap: 'wrap' }}>
-              {movie.genres.map(genre => (
-                <span key={genre.id} style={{ 
-                  padding: '0.3rem 0.8rem', 
-                  backgroundColor: '#4CAF50', 
-                  borderRadius: '20px',
-                  color: 'white'
-                }}>
-                  {genre.name}
-                </span>
-              ))}
-            </div>
-          </div>
-          
-          <div style={{ marginBottom: '1rem' }}>
-            <h3>Overview</h3>
-            <p>{movie.overview}</p>
-          </div>
-          
-          {trailer && (
-            <a 
-              href={`https://www.youtube.com/watch?v=${trailer.key}`} 
-              target="_blank" 
-              rel="noopener noreferrer"
+              onMouseEnter={() => setActiveIndex(index)}
               style={{
-                display: 'inline-flex',
+                display: 'flex',
                 alignItems: 'center',
-                gap: '0.5rem',
-                padding: '0.8rem 1.5rem',
-                backgroundColor: '#FF0000',
-                color: 'white',
-                borderRadius: '4px',
-                textDecoration: 'none',
-                marginTop: '1rem'
+                gap: '0.75rem',
+                padding: '0.4rem 0.6rem',
+                cursor: 'pointer',
+                background: index === activeIndex ? theme.highlight : 'transparent'
               }}
             >
-              <FaPlay /> Watch Trailer
-            </a>
-          )}
-        </div>
-      </div>
-      
-      <div>
-        <h2>Cast</h2>
-        <div style={{ display: 'flex', gap: '1rem', overflowX: 'auto', padding: '1rem 0' }}>
-          {movie.credits.cast.slice(0, 10).map(actor => (
-            <div key={actor.id} style={{ minWidth: '120px', textAlign: 'center' }}>
               <img
-                src={actor.profile_path 
-                  ? `https://image.tmdb.org/t/p/w200${actor.profile_path}`
-                  : 'https://via.placeholder.com/200x300?text=No+Image'}
-                alt={actor.name}
-                style={{ width: '100px', height: '150px', objectFit: 'cover', borderRadius: '8px' }}
+                src={movie.poster_path 
+                  ? `https://image.tmdb.org/t/p/w92${movie.poster_path}`
+                  : backgroundImage}
+                alt=""
+                style={{ width: '32px', height: '48px', objectFit: 'cover', borderRadius: '2px' }}
               />
-              <p style={{ marginTop: '0.5rem' }}>{actor.name}</p>
-              <p style={{ fontSize: '0.8rem', color: '#888' }}>{actor.character}</p>
-            </div>
+              <span>
+                {movie.title}
+                {movie.release_date && ` (${movie.release_date.slice(0, 4)})`}
+              </span>
+            </li>
           ))}
-        </div>
+        </ul>
+      )}
+    </div>
+  );
+}
+
+// Recent searches for the logged-in user: click one to run it again
+function SearchHistoryPanel({ onSelect }) {
+  const theme = useTheme();
+  const { searchHistory, removeFromSearchHistory, clearSearchHistory } = useContext(MovieContext);
+  const { t } = useContext(I18nContext);
+
+  if (searchHistory.length === 0) return null;
+
+  return (
+    <aside aria-label={t('home.recentSearches')} style={{ minWidth: '220px', maxWidth: '300px' }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+        <h3 style={{ margin: 0 }}>{t('home.recentSearches')}</h3>
+        <button
+          onClick={clearSearchHistory}
+          style={{
+            background: 'none',
+            border: 'none',
+            color: theme.danger,
+            cursor: 'pointer',
+            fontSize: '0.9rem'
+          }}
+        >
+          {t('home.clearHistory')}
+        </button>
       </div>
-    </MovieDetailContainer>
+      <ul style={{ listStyle: 'none', padding: 0, margin: '0.5rem 0 0' }}>
+        {searchHistory.map(entry => (
+          <li 
+            key={entry.query} 
+            style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', gap: '0.5rem' }}
+          >
+            <button
+              onClick={() => onSelect(entry.query)}
+              style={{
+                background: 'none',
+                border: 'none',
+                color: 'inherit',
+                cursor: 'pointer',
+                padding: '0.3rem 0',
+                textAlign: 'left',
+                overflow: 'hidden',
+                textOverflow: 'ellipsis',
+                whiteSpace: 'nowrap'
+              }}
+            >
+              {entry.query}
+            </button>
+            <button
+              onClick={() => removeFromSearchHistory(entry.query)}
+              aria-label={t('home.removeSearch', { query: entry.query })}
+              style={{
+                background: 'none',
+                border: 'none',
+                color: theme.mutedText,
+                cursor: 'pointer',
+                display: 'flex',
+                alignItems: 'center'
+              }}
+            >
+              <FaTimes />
+            </button>
+          </li>
+        ))}
+      </ul>
+    </aside>
   );
 }
 
-function FavoritesPage() {
-  const { favorites } = useContext(MovieContext);
-  const navigate = useNavigate();
-  
+// "Because you favorited X" rows built from the most recently added favorites. Movies already in
+// favorites, or already shown in an earlier row, are left out.
+function FavoriteRecommendations() {
+  const { favorites, fetchRecommendations } = useContext(MovieContext);
+  const { t } = useContext(I18nContext);
+  const [recommendations, setRecommendations] = useState({});
+  const seeds = favorites.slice(-MAX_FAVORITE_SEEDS).reverse();
+  const seedKey = seeds.map(movie => movie.id).join(',');
+
+  useEffect(() => {
+    const controller = new AbortController();
+    seedKey.split(',').filter(Boolean).forEach(id => {
+      fetchRecommendations(id, controller.signal)
+        .then(results => {
+          if (!controller.signal.aborted) setRecommendations(prev => ({ ...prev, [id]: results }));
+        })
+        .catch(() => {
+          // A row that fails to load is simply not shown
+        });
+    });
+    return () => controller.abort();
+  }, [seedKey, fetchRecommendations]);
+
+  const shown = new Set(favorites.map(movie => movie.id));
+  const rows = seeds.map(seed => {
+    const movies = (recommendations[seed.id] || []).filter(movie => !shown.has(movie.id));
+    movies.forEach(movie => shown.add(movie.id));
+    return { seed, movies };
+  });
+
+  return rows.map(({ seed, movies }) => (
+    <MovieRow key={seed.id} title={t('home.becauseYouFavorited', { title: seed.title })} movies={movies} />
+  ));
+}
+
+const feedButtonStyle = (theme, active) => ({
+  padding: '0.5rem 1rem',
+  background: active ? theme.chipBg : 'none',
+  color: active ? theme.chipText : 'inherit',
+  border: `1px solid ${theme.chipBorder}`,
+  borderRadius: '20px',
+  cursor: 'pointer'
+});
+
+// Home's list picker; the trending feed gets a second row to switch between today and this week
+function FeedTabs({ feed, onSelect }) {
+  const theme = useTheme();
+  const { t } = useContext(I18nContext);
+  const isTrending = feed.startsWith('trending');
+
   return (
-    <div style={{ padding: '2rem' }}>
-      <button 
-        onClick={() => navigate(-1)}
-        style={{
-          display: 'flex',
-          alignItems: 'center',
-          gap: '0.5rem',
-          padding: '0.5rem 1rem',
-          marginBottom: '1rem',
-          background: 'none',
-          border: '1px solid #ddd',
-          borderRadius: '4px',
-          cursor: 'pointer',
-          color: 'inherit'
-        }}
-      >
-        <FaArrowLeft /> Back
-      </button>
-      
-      <h1>My Favorite Movies</h1>
-      {favorites.length > 0 ? (
-        <MovieList movies={favorites} />
-      ) : (
-        <p>You haven't added any favorites yet.</p>
+    <div style={{ marginBottom: '1rem' }}>
+      <div role="group" aria-label={t('home.movieLists')} style={{ display: 'flex', gap: '0.5rem', flexWrap: 'wrap' }}>
+        {HOME_FEEDS.map(option => {
+          const active = option.id === 'trending' ? isTrending : option.id === feed;
+          return (
+            <button
+              key={option.id}
+              onClick={() => onSelect(option.id === 'trending' ? DEFAULT_FEED : option.id)}
+              aria-pressed={active}
+              style={feedButtonStyle(theme, active)}
+            >
+              {t(`feeds.${option.id}`)}
+            </button>
+          );
+        })}
+      </div>
+      {isTrending && (
+        <div role="group" aria-label={t('home.trendingPeriod')} style={{ display: 'flex', gap: '0.5rem', marginTop: '0.5rem' }}>
+          {TRENDING_WINDOWS.map(option => (
+            <button
+              key={option.id}
+              onClick={() => onSelect(option.id)}
+              aria-pressed={option.id === feed}
+              style={{ ...feedButtonStyle(theme, option.id === feed), fontSize: '0.85rem', padding: '0.3rem 0.8rem' }}
+            >
+              {t(`feeds.${option.id}`)}
+            </button>
+          ))}
+        </div>
       )}
     </div>
   );
 }
 
 function Home() {
-  const { movies, trendingMovies, isLoading, error, searchQuery, searchMovies, clearSearch } = useContext(MovieContext);
-  const { user } = useContext(AuthContext);
-  const [searchInput, setSearchInput] = useState('');
+  const theme = useTheme();
+  const {
+    movies,
+    feed,
+    setFeed,
+    feedMovies,
+    feedLoading,
+    isLoading,
+    isLoadingMore,
+    error,
+    retry,
+    searchQuery,
+    searchMovies,
+    clearSearch,
+    page,
+    totalPages,
+    loadMore,
+    saveScrollPosition,
+    getScrollPosition
+  } = useContext(MovieContext);
+  const { user, authReady } = useContext(AuthContext);
+  const { t } = useContext(I18nContext);
+  const [searchParams, setSearchParams] = useSearchParams();
+  const urlQuery = (searchParams.get('q') || '').trim();
+  const urlPage = Math.min(MAX_RESTORED_PAGES, Math.max(1, Number(searchParams.get('page')) || 1));
+  const urlFeed = FEED_IDS.includes(searchParams.get('feed')) ? searchParams.get('feed') : DEFAULT_FEED;
+  const [searchInput, setSearchInput] = useState(urlQuery);
   const navigate = useNavigate();
+  const scrollKey = searchQuery ? `search:${searchQuery}` : `feed:${feed}`;
+  const isTrending = feed.startsWith('trending');
+  const feedTitle = isTrending ? t('home.trendingTitle') : t(`feeds.${feed}`);
+
+  // ?feed= picks the list shown when there is no search, so tabs work with back/forward and links
+  useEffect(() => {
+    setFeed(urlFeed);
+  }, [urlFeed, setFeed]);
+
+  useEffect(() => {
+    setSearchInput(urlQuery);
+  }, [urlQuery]);
+
+  // The URL is the source of truth for the search: submitting, clearing, back/forward and
+  // deep links like /?q=alien all change ?q= and this effect brings the results in line
+  useEffect(() => {
+    if (!user) return;
+    if (urlQuery && urlQuery !== searchQuery) {
+      searchMovies(urlQuery, urlPage);
+    } else if (!urlQuery && searchQuery) {
+      clearSearch();
+    }
+  }, [urlQuery, urlPage, user, searchQuery, searchMovies, clearSearch]);
+
+  // Record how many result pages are loaded so a refresh or shared link restores them
+  useEffect(() => {
+    if (!searchQuery || searchQuery !== urlQuery || page < 1) return;
+    if (page !== urlPage) {
+      setSearchParams(page > 1 ? { q: searchQuery, page: String(page) } : { q: searchQuery }, { replace: true });
+    }
+  }, [searchQuery, page, urlQuery, urlPage, setSearchParams]);
+
+  // Remember how far down the list the user was so coming back from /movie/:id lands in the same place
+  useEffect(() => {
+    const savedPosition = getScrollPosition(scrollKey);
+    if (savedPosition) window.scrollTo(0, savedPosition);
+
+    return () => saveScrollPosition(scrollKey, window.scrollY);
+  }, [scrollKey, getScrollPosition, saveScrollPosition]);
 
   const handleSearch = (e) => {
     e.preventDefault();
     if (searchInput.trim()) {
-      searchMovies(searchInput);
+      setSearchParams({ q: searchInput.trim() });
     }
   };
 
+  const handleClearSearch = () => {
+    setSearchParams({});
+    setSearchInput('');
+  };
+
+  if (!authReady) return (
+    <LoadingIndicator label={t('home.checkingSession')} />
+  );
+
   return (
     <div style={{ padding: '2rem' }}>
       {user ? (
         <>
           {searchQuery && (
             <button 
-              onClick={() => {
-                clearSearch();
-                setSearchInput('');
-              }}
+              onClick={handleClearSearch}
               style={{
                 display: 'flex',
                 alignItems: 'center',
@@ -721,89 +6018,89 @@ function Home() {
                 padding: '0.5rem 1rem',
                 marginBottom: '1rem',
                 background: 'none',
-                border: '1px solid #ddd',
+                border: `1px solid ${theme.border}`,
                 borderRadius: '4px',
                 cursor: 'pointer',
                 color: 'inherit'
               }}
             >
-              <FaArrowLeft /> Back to Trending Movies
+              <FaArrowLeft /> {t('home.backTo', { list: feedTitle })}
             </button>
           )}
           
-          <form onSubmit={handleSearch} style={{ marginBottom: '2rem', display: 'flex', gap: '0.5rem' }}>
-            <input
-              type="text"
-              value={searchInput}
-              onChange={(e) => setSearchInput(e.target.value)}
-              placeholder="Search for movies..."
-              style={{ 
-                padding: '0.8rem', 
-                flex: 1, 
-                maxWidth: '500px',
-                borderRadius: '4px',
-                border: '1px solid #ddd'
-              }}
-            />
-            <button 
-              type="submit" 
-              style={{ 
-                padding: '0.8rem 1.5rem',
-                background: '#4CAF50',
-                color: 'white',
-                border: 'none',
-                borderRadius: '4px',
-                cursor: 'pointer'
-              }}
-            >
-              Search
-            </button>
-            {searchQuery && (
+          <div style={{ display: 'flex', gap: '2rem', flexWrap: 'wrap', alignItems: 'flex-start', marginBottom: '2rem' }}>
+            <form onSubmit={handleSearch} style={{ flex: 1, minWidth: '300px', display: 'flex', gap: '0.5rem' }}>
+              <SearchBox value={searchInput} onChange={setSearchInput} />
               <button 
-                type="button" 
-                onClick={() => {
-                  clearSearch();
-                  setSearchInput('');
-                }}
-                style={{
+                type="submit" 
+                style={{ 
                   padding: '0.8rem 1.5rem',
-                  background: '#f44336',
-                  color: 'white',
+                  background: theme.primary,
+                  color: theme.onPrimary,
                   border: 'none',
                   borderRadius: '4px',
                   cursor: 'pointer'
                 }}
               >
-                Clear
+                {t('home.search')}
               </button>
-            )}
-          </form>
+              {searchQuery && (
+                <button 
+                  type="button" 
+                  onClick={handleClearSearch}
+                  style={{
+                    padding: '0.8rem 1.5rem',
+                    background: theme.danger,
+                    color: theme.onDanger,
+                    border: 'none',
+                    borderRadius: '4px',
+                    cursor: 'pointer'
+                  }}
+                >
+                  {t('home.clear')}
+                </button>
+              )}
+            </form>
+            <SearchHistoryPanel onSelect={(query) => setSearchParams({ q: query })} />
+          </div>
 
-          {isLoading && (
-            <div style={{ display: 'flex', justifyContent: 'center', padding: '2rem' }}>
-              <PuffLoader color="#36d7b7" size={100} />
-            </div>
+          {(searchQuery ? isLoading : feedLoading) && (
+            <LoadingIndicator label={t('home.loadingMovies')} />
           )}
 
-          {error && (
-            <div style={{ color: 'red', padding: '1rem', textAlign: 'center' }}>
-              <p>⚠️ {error}</p>
-            </div>
-          )}
+          {error && <ErrorMessage error={error} onRetry={retry} />}
 
           {searchQuery ? (
             <>
-              <h2>Search Results for "{searchQuery}"</h2>
+              <h2>{t('home.searchResults', { query: searchQuery })}</h2>
               {movies.length > 0 ? (
-                <MovieList movies={movies} />
+                <MovieList 
+                  movies={movies} 
+                  onLoadMore={loadMore} 
+                  hasMore={page < totalPages} 
+                  isLoadingMore={isLoadingMore} 
+                />
               ) : (
-                <p>No movies found. Try a different search term.</p>
+                <p>{t('home.noResults')}</p>
               )}
             </>
           ) : (
             <>
-              <h2>Trending Movies</h2>
-              <MovieList movies={trendingMovies} />
+              <FavoriteRecommendations />
+              <FeedTabs 
+                feed={feed} 
+                onSelect={(feedId) => setSearchParams(feedId === DEFAULT_FEED ? {} : { feed: feedId })} 
+              />
+              <h2>{feedTitle}</h2>
+              <MovieList 
+                movies={feedMovies} 
+                onLoadMore={loadMore} 
+                hasMore={page < totalPages} 
+                isLoadingMore={isLoadingMore} 
+              />
+              {!feedLoading && !error && feedMovies.length === 0 && (
+                <p>{t('home.emptyFeed')}</p>
+              )}
             </>
           )}
         </>
@@ -815,108 +6112,186 @@ function Home() {
 }
 
 // App Component
-function App() {
-  const { theme, toggleTheme } = useContext(ThemeContext);
+function App({ dataSource }) {
+  const theme = useTheme();
+  const { preference, setPreference } = useContext(ThemeContext);
+  const { language, setLanguage, t } = useContext(I18nContext);
 
   return (
     <AppContainer>
-      <Router>
-        <AuthProvider>
-          <MovieProvider>
-            <Navbar>
-              <div style={{ fontSize: '1.5rem', fontWeight: 'bold' }}>Movie Explorer</div>
-              <div style={{ display: 'flex', alignItems: 'center', gap: '1rem' }}>
-                <AuthContext.Consumer>
-                  {({ user, logout, openAuthModal }) => (
-                    user ? (
-                      <div style={{ display: 'flex', alignItems: 'center', gap: '1rem' }}>
-                        <Link to="/favorites" style={{ 
-                          padding: '0.5rem 1rem', 
-                          color: 'white',
-                          textDecoration: 'none'
-                        }}>
-                          My Favorites
-                        </Link>
-                        <button 
-                          onClick={toggleTheme}
-                          style={{ 
-                            background: 'none',
-                            border: 'none',
-                            color: 'white',
-                            cursor: 'pointer',
-                            fontSize: '1.2rem',
-                            display: 'flex',
-                            alignItems: 'center'
-                          }}
-                          title={theme === 'light' ? 'Switch to Dark Mode' : 'Switch to Light Mode'}
-                        >
-                          {theme === 'light' ? <FaMoon /> : <FaSun />}
-                        </button>
-                        <button 
-                          onClick={logout} 
-                          style={{ 
-                            padding: '0.5rem 1rem', 
-                            background: '#4CAF50', 
-                            color: 'white', 
-                            border: 'none', 
-                            borderRadius: '4px' 
-                          }}
-                        >
-                          Logout
-                        </button>
-                      </div>
-                    ) : (
-                      <div style={{ display: 'flex', gap: '0.5rem' }}>
-                        <button 
-                          onClick={() => openAuthModal('login')}
-                          style={{
-                            padding: '0.5rem 1rem',
-                            background: '#4CAF50',
-                            color: 'white',
-                            border: 'none',
-                            borderRadius: '4px'
-                          }}
-                        >
-                          Login
-                        </button>
-                        <button 
-                          onClick={() => openAuthModal('signup')}
-                          style={{
-                            padding: '0.5rem 1rem',
-                            background: '#2196F3',
-                            color: 'white',
-                            border: 'none',
-                            borderRadius: '4px'
-                          }}
-                        >
-                          Sign Up
-                        </button>
-                      </div>
-                    )
-                  )}
-                </AuthContext.Consumer>
-              </div>
-            </Navbar>
-            
-            <AuthModal />
-            
+      <MovieProvider dataSource={dataSource}>
+        <Navbar aria-label={t('nav.main')}>
+          <div style={{ fontSize: '1.5rem', fontWeight: 'bold' }}>Movie Explorer</div>
+          <div style={{ display: 'flex', alignItems: 'center', gap: '1rem' }}>
+            <select
+              aria-label={t('language.label')}
+              value={language}
+              onChange={(e) => setLanguage(e.target.value)}
+              style={{ padding: '0.3rem', borderRadius: '4px', border: `1px solid ${theme.border}` }}
+            >
+              {LANGUAGES.map(option => (
+                <option key={option.code} value={option.code} lang={option.code}>{option.name}</option>
+              ))}
+            </select>
+            <AuthContext.Consumer>
+              {({ user, logout, openAuthModal }) => (
+                user ? (
+                  <div style={{ display: 'flex', alignItems: 'center', gap: '1rem' }}>
+                    <Link to="/discover" style={{ 
+                      padding: '0.5rem 1rem', 
+                      color: theme.navbarText,
+                      textDecoration: 'none'
+                    }}>
+                      {t('nav.discover')}
+                    </Link>
+                    <Link to="/favorites" style={{ 
+                      padding: '0.5rem 1rem', 
+                      color: theme.navbarText,
+                      textDecoration: 'none'
+                    }}>
+                      {t('nav.favorites')}
+                    </Link>
+                    <Link to="/watchlist" style={{ 
+                      padding: '0.5rem 1rem', 
+                      color: theme.navbarText,
+                      textDecoration: 'none'
+                    }}>
+                      {t('nav.watchlist')}
+                    </Link>
+                    <Link to="/watched" style={{ 
+                      padding: '0.5rem 1rem', 
+                      color: theme.navbarText,
+                      textDecoration: 'none'
+                    }}>
+                      {t('nav.watched')}
+                    </Link>
+                    <Link to="/collections" style={{ 
+                      padding: '0.5rem 1rem', 
+                      color: theme.navbarText,
+                      textDecoration: 'none'
+                    }}>
+                      {t('nav.collections')}
+                    </Link>
+                    <Link to="/ratings" style={{ 
+                      padding: '0.5rem 1rem', 
+                      color: theme.navbarText,
+                      textDecoration: 'none'
+                    }}>
+                      {t('nav.ratings')}
+                    </Link>
+                    <Link to="/pick" style={{ 
+                      padding: '0.5rem 1rem', 
+                      color: theme.navbarText,
+                      textDecoration: 'none'
+                    }}>
+                      {t('nav.pick')}
+                    </Link>
+                    <label style={{ display: 'flex', alignItems: 'center', gap: '0.4rem' }}>
+                      {theme.name === 'light' ? <FaSun aria-hidden="true" /> : <FaMoon aria-hidden="true" />}
+                      <select
+                        aria-label={t('nav.theme')}
+                        value={preference}
+                        onChange={(e) => setPreference(e.target.value)}
+                        style={{ padding: '0.3rem', borderRadius: '4px', border: `1px solid ${theme.border}` }}
+                      >
+                        {THEME_PREFERENCES.map(option => (
+                          <option key={option.value} value={option.value}>{t(`themes.${option.value}`)}</option>
+                        ))}
+                      </select>
+                    </label>
+                    <button 
+                      onClick={logout} 
+                      style={{ 
+                        padding: '0.5rem 1rem', 
+                        background: theme.primary, 
+                        color: theme.onPrimary, 
+                        border: 'none', 
+                        borderRadius: '4px' 
+                      }}
+                    >
+                      {t('nav.logout')}
+                    </button>
+                  </div>
+                ) : (
+                  <div style={{ display: 'flex', gap: '0.5rem' }}>
+                    <button 
+                      onClick={() => openAuthModal('login')}
+                      style={{
+                        padding: '0.5rem 1rem',
+                        background: theme.primary,
+                        color: theme.onPrimary,
+                        border: 'none',
+                        borderRadius: '4px'
+                      }}
+                    >
+                      {t('welcome.login')}
+                    </button>
+                    <button 
+                      onClick={() => openAuthModal('signup')}
+                      style={{
+                        padding: '0.5rem 1rem',
+                        background: theme.secondary,
+                        color: theme.onSecondary,
+                        border: 'none',
+                        borderRadius: '4px'
+                      }}
+                    >
+                      {t('welcome.signup')}
+                    </button>
+                  </div>
+                )
+              )}
+            </AuthContext.Consumer>
+          </div>
+        </Navbar>
+        
+        <AuthModal />
+        
+        <main>
+          <RouteErrorBoundary>
             <Routes>
               <Route path="/" element={<Home />} />
-              <Route path="/movie/:id" element={<MovieDetail />} />
-              <Route path="/favorites" element={<FavoritesPage />} />
+              <Route path="/movie/:id" element={<RequireAuth><MovieDetail /></RequireAuth>} />
+              <Route path="/person/:id" element={<RequireAuth><PersonPage /></RequireAuth>} />
+              <Route path="/favorites" element={<RequireAuth><FavoritesPage /></RequireAuth>} />
+              <Route path="/watchlist" element={<RequireAuth><WatchlistPage /></RequireAuth>} />
+              <Route path="/watched" element={<RequireAuth><WatchedPage /></RequireAuth>} />
+              <Route path="/import-export" element={<RequireAuth><ImportExportPage /></RequireAuth>} />
+              <Route path="/ratings" element={<RequireAuth><RatingsPage /></RequireAuth>} />
+              <Route path="/collections" element={<RequireAuth><CollectionsPage /></RequireAuth>} />
+              <Route path="/collections/:id" element={<RequireAuth><CollectionPage /></RequireAuth>} />
+              <Route path="/discover" element={<RequireAuth><DiscoverPage /></RequireAuth>} />
+              <Route path="/compare" element={<RequireAuth><ComparePage /></RequireAuth>} />
+              <Route path="/pick" element={<RequireAuth><PickerPage /></RequireAuth>} />
             </Routes>
-          </MovieProvider>
-        </AuthProvider>
-      </Router>
+          </RouteErrorBoundary>
+        </main>
+
+        <CompareTray />
+      </MovieProvider>
     </AppContainer>
   );
 }
 
-// Wrap the app with ThemeProviderWrapper
-export default function AppWrapper() {
+// CRA's PUBLIC_URL is where the build is served from: empty at the site root, otherwise a path
+// ("/movies") or a full URL whose path the routes live under
+const ROUTER_BASENAME = new URL(process.env.PUBLIC_URL || '/', window.location.origin).pathname.replace(/\/$/, '') || '/';
+
+// Wrap the app with I18nProvider and ThemeProviderWrapper, inside AuthProvider since the
+// language and theme are saved per user. `dataSource` replaces the configured movie backend
+// (tests use it for fixtures with small pages or failing requests).
+export default function AppWrapper({ dataSource }) {
   return (
-    <ThemeProviderWrapper>
-      <App />
-    </ThemeProviderWrapper>
+    <Router basename={ROUTER_BASENAME}>
+      <AuthProvider>
+        <I18nProvider>
+          <ThemeProviderWrapper>
+            <App dataSource={dataSource} />
+          </ThemeProviderWrapper>
+        </I18nProvider>
+      </AuthProvider>
+    </Router>
   );
-}
\ No newline at end of file
+}
+
+export { createFixtureDataSource, MovieApiError, pickWeight, pickWeighted, toMovieApiError, withRetry };
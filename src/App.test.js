@@ -1,8 +1,932 @@
-import { render, screen } from '@testing-library/react';
-import App from './App';
+import { render, screen, within, fireEvent, waitFor, cleanup, act } from '@testing-library/react';
+import { axe } from 'jest-axe';
+import App, { createFixtureDataSource, MovieApiError, pickWeight, pickWeighted, toMovieApiError, withRetry } from './App';
+import movieFixtures from './fixtures/movies.json';
 
-test('renders learn react link', () => {
+const PASSWORD = 'popcorn123';
+
+// Creates an account through the sign-up form; the mock auth server logs the new user in
+async function signUp(username, password = PASSWORD) {
+  fireEvent.click(screen.getAllByRole('button', { name: 'Sign Up' })[0]);
+  fireEvent.change(screen.getByPlaceholderText('Username'), { target: { value: username } });
+  fireEvent.change(screen.getByPlaceholderText('Password'), { target: { value: password } });
+  fireEvent.change(screen.getByPlaceholderText('Confirm password'), { target: { value: password } });
+  submitAuthForm();
+}
+
+function submitAuthForm() {
+  fireEvent.submit(screen.getByRole('form'));
+}
+
+beforeEach(() => {
+  localStorage.clear();
+});
+
+test('shows the welcome page to anonymous visitors', async () => {
+  render(<App />);
+  expect(await screen.findByText(/welcome to movie explorer/i)).toBeInTheDocument();
+});
+
+test('lists trending movies from the fixture data source once signed up', async () => {
+  render(<App />);
+  await signUp('tester');
+  expect(await screen.findByText('The Matrix')).toBeInTheDocument();
+  expect(screen.getByText('Inception')).toBeInTheDocument();
+});
+
+test('appends the next page of a feed without repeating movies and restores the scroll position', async () => {
+  // Inception is on both pages, as happens when a list shifts between requests
+  const dataSource = createFixtureDataSource({
+    fixtures: { ...movieFixtures, trending: [603, 27205, 157336, 27205, 155] },
+    pageSize: 3
+  });
+  const scrollTo = jest.spyOn(window, 'scrollTo').mockImplementation(() => {});
+  render(<App dataSource={dataSource} />);
+  await signUp('paige');
+  expect(await screen.findByText('Interstellar')).toBeInTheDocument();
+  expect(screen.queryByText('The Dark Knight')).not.toBeInTheDocument();
+
+  fireEvent.click(screen.getByRole('button', { name: 'Load More' }));
+  expect(await screen.findByText('The Dark Knight')).toBeInTheDocument();
+  expect(screen.getAllByText('Inception')).toHaveLength(1);
+  expect(screen.getAllByRole('listitem').filter(item => within(item).queryByRole('heading'))).toHaveLength(4);
+  expect(screen.queryByRole('button', { name: 'Load More' })).not.toBeInTheDocument();
+
+  window.scrollY = 640;
+  fireEvent.click(screen.getByRole('link', { name: /the dark knight/i }));
+  await screen.findByRole('heading', { name: 'The Dark Knight (2008)' });
+  window.scrollY = 0;
+  fireEvent.click(screen.getByRole('button', { name: 'Back' }));
+  await screen.findByText('Interstellar');
+  expect(scrollTo).toHaveBeenLastCalledWith(0, 640);
+  scrollTo.mockRestore();
+  window.history.pushState({}, '', '/');
+});
+
+test('rejects weak passwords, taken usernames and bad credentials', async () => {
+  render(<App />);
+  await signUp('tester', 'short');
+  expect(await screen.findByRole('alert')).toHaveTextContent(/password is too weak/i);
+
+  fireEvent.change(screen.getByPlaceholderText('Password'), { target: { value: PASSWORD } });
+  fireEvent.change(screen.getByPlaceholderText('Confirm password'), { target: { value: PASSWORD } });
+  submitAuthForm();
+  await screen.findByText('The Matrix');
+  fireEvent.click(screen.getByRole('button', { name: 'Logout' }));
+
+  await signUp('Tester');
+  expect(await screen.findByRole('alert')).toHaveTextContent(/already taken/i);
+
+  fireEvent.click(within(screen.getByText('Already have an account?')).getByRole('button'));
+  fireEvent.change(screen.getByPlaceholderText('Username'), { target: { value: 'tester' } });
+  fireEvent.change(screen.getByPlaceholderText('Password'), { target: { value: 'wrongpass1' } });
+  submitAuthForm();
+  expect(await screen.findByRole('alert')).toHaveTextContent(/incorrect username or password/i);
+});
+
+test('explains sign-up problems in the chosen language', async () => {
+  render(<App />);
+  fireEvent.change(screen.getByRole('combobox', { name: 'Language' }), { target: { value: 'es' } });
+  fireEvent.click(screen.getAllByRole('button', { name: 'Registrarse' })[0]);
+  const form = screen.getByRole('form', { name: 'Registrarse' });
+  fireEvent.change(within(form).getByPlaceholderText('Nombre de usuario'), { target: { value: 'sofia' } });
+  fireEvent.change(within(form).getByPlaceholderText('Contraseña'), { target: { value: 'abcdefgh' } });
+  fireEvent.change(within(form).getByPlaceholderText('Confirmar contraseña'), { target: { value: 'abcdefgh' } });
+  expect(within(form).getByText('Al menos un número')).toBeInTheDocument();
+  fireEvent.submit(form);
+  expect(await screen.findByRole('alert')).toHaveTextContent('La contraseña es demasiado débil: al menos un número');
+});
+
+test('signs up over unreadable mock auth records', async () => {
+  localStorage.setItem('movie-explorer:mock-auth:accounts', '{not json');
+  localStorage.setItem('movie-explorer:mock-auth:sessions', 'null');
+  render(<App />);
+  await signUp('tester');
+  expect(await screen.findByText('The Matrix')).toBeInTheDocument();
+});
+
+test('drops an expired session on startup', async () => {
+  localStorage.setItem('movie-explorer:session', JSON.stringify({
+    token: 'stale',
+    user: 'tester',
+    expiresAt: Date.now() - 1000
+  }));
+  render(<App />);
+  expect(await screen.findByText(/your session has expired/i)).toBeInTheDocument();
+  expect(screen.getByText(/welcome to movie explorer/i)).toBeInTheDocument();
+});
+
+test('keeps favorites per user across reloads', async () => {
+  const { unmount } = render(<App />);
+  await signUp('alice');
+  await screen.findByText('The Matrix');
+  fireEvent.click(screen.getByRole('button', { name: 'Favorite The Matrix' }));
+  expect(screen.getByRole('button', { name: 'Favorite The Matrix', pressed: true })).toBeInTheDocument();
+  unmount();
+
+  render(<App />);
+  expect(await screen.findByRole('button', { name: 'Favorite The Matrix', pressed: true })).toBeInTheDocument();
+  fireEvent.click(screen.getByRole('button', { name: 'Logout' }));
+  cleanup();
+
+  render(<App />);
+  await signUp('bob');
+  await screen.findByText('The Matrix');
+  expect(screen.queryAllByRole('button', { name: /^favorite /i, pressed: true })).toHaveLength(0);
+});
+
+test('leaves a favorites record from a newer version untouched until the list changes', async () => {
+  const newer = JSON.stringify({ version: 99, data: { movies: [603] } });
+  localStorage.setItem('movie-explorer:favorites:carol', newer);
+  render(<App />);
+  await signUp('carol');
+  await screen.findByText('The Matrix');
+  expect(localStorage.getItem('movie-explorer:favorites:carol')).toBe(newer);
+
+  fireEvent.click(screen.getByRole('button', { name: 'Favorite The Matrix' }));
+  await waitFor(() => expect(JSON.parse(localStorage.getItem('movie-explorer:favorites:carol'))).toMatchObject({
+    version: 1,
+    data: [expect.objectContaining({ id: 603 })]
+  }));
+});
+
+test('sends anonymous visitors of a protected page back there after logging in', async () => {
+  window.history.pushState({}, '', '/favorites');
+  render(<App />);
+  expect(await screen.findByRole('form', { name: 'Login' })).toBeInTheDocument();
+  expect(window.location.pathname).toBe('/');
+
+  await signUp('carol');
+  expect(await screen.findByText('My Favorite Movies')).toBeInTheDocument();
+  await waitFor(() => expect(window.location.pathname).toBe('/favorites'));
+  window.history.pushState({}, '', '/');
+});
+
+test('restores discover filters from the URL and keeps them there', async () => {
+  window.history.pushState({}, '', '/discover?genres=878&to=2005');
+  render(<App />);
+  await screen.findByRole('form', { name: 'Login' });
+  await signUp('dave');
+  await screen.findByRole('heading', { name: 'Discover Movies' });
+
+  expect(await screen.findByText('The Matrix')).toBeInTheDocument();
+  expect(screen.queryByText('Inception')).not.toBeInTheDocument();
+  expect(screen.getByRole('button', { name: 'Science Fiction' })).toHaveAttribute('aria-pressed', 'true');
+
+  fireEvent.change(screen.getByLabelText('Released to'), { target: { value: '' } });
+  expect(await screen.findByText('Inception')).toBeInTheDocument();
+  expect(window.location.search).toBe('?genres=878');
+
+  fireEvent.change(screen.getByRole('combobox', { name: 'Language' }), { target: { value: 'es' } });
+  expect(await screen.findByRole('heading', { name: 'Descubrir películas' })).toBeInTheDocument();
+  expect(screen.getByRole('navigation', { name: 'Principal' })).toBeInTheDocument();
+  expect(screen.getByLabelText('Estrenadas hasta')).toHaveAttribute('placeholder', 'Cualquiera');
+  expect(screen.getByRole('slider', { name: 'Valoración mínima: 0,0' })).toBeInTheDocument();
+  expect(screen.getByRole('combobox', { name: 'Ordenar por' })).toHaveDisplayValue('Más populares');
+  expect(screen.getByRole('combobox', { name: 'Idioma original' })).toHaveDisplayValue('Cualquier idioma');
+  fireEvent.change(screen.getByRole('combobox', { name: 'Idioma' }), { target: { value: 'en' } });
+  cleanup();
+  window.history.pushState({}, '', '/');
+});
+
+test('drops a "load more" page that arrives after the discover filters changed', async () => {
+  const fixtureSource = createFixtureDataSource({ pageSize: 3 });
+  let releasePage2;
+  const dataSource = {
+    ...fixtureSource,
+    discoverMovies: (filters, page, options) => (page === 2 && !filters.genres.length
+      ? new Promise(resolve => { releasePage2 = () => fixtureSource.discoverMovies(filters, page, options).then(resolve); })
+      : fixtureSource.discoverMovies(filters, page, options))
+  };
+  window.history.pushState({}, '', '/discover');
+  render(<App dataSource={dataSource} />);
+  await screen.findByRole('form', { name: 'Login' });
+  await signUp('dora');
+  await screen.findByRole('heading', { name: 'Discover Movies' });
+  expect(await screen.findByText('Inception')).toBeInTheDocument();
+
+  fireEvent.click(screen.getByRole('button', { name: 'Load More' }));
+  await waitFor(() => expect(releasePage2).toBeDefined());
+  fireEvent.click(await screen.findByRole('button', { name: 'Science Fiction' }));
+  expect(await screen.findByText('The Matrix')).toBeInTheDocument();
+  expect(screen.queryByText('The Dark Knight')).not.toBeInTheDocument();
+
+  await act(async () => releasePage2());
+  expect(screen.queryByText('Fight Club')).not.toBeInTheDocument();
+  expect(screen.getAllByRole('listitem').filter(item => within(item).queryByRole('heading'))).toHaveLength(3);
+  window.history.pushState({}, '', '/');
+});
+
+test('runs the search from a ?q= deep link and clears it from the URL', async () => {
+  window.history.pushState({}, '', '/?q=inception');
+  render(<App />);
+  await signUp('erin');
+
+  expect(await screen.findByText('Search Results for "inception"')).toBeInTheDocument();
+  expect(screen.getByPlaceholderText('Search for movies...')).toHaveValue('inception');
+  expect(screen.queryByText('The Matrix')).not.toBeInTheDocument();
+
+  fireEvent.click(screen.getByRole('button', { name: 'Clear' }));
+  expect(await screen.findByText('Trending Movies')).toBeInTheDocument();
+  expect(window.location.search).toBe('');
+});
+
+test('suggests matches while typing and opens the highlighted one with the keyboard', async () => {
+  render(<App />);
+  await signUp('frank');
+  await screen.findByText('The Matrix');
+
+  const input = screen.getByRole('combobox', { name: 'Search movies' });
+  fireEvent.change(input, { target: { value: 'dark kn' } });
+  expect(await screen.findByRole('option', { name: /the dark knight \(2008\)/i })).toBeInTheDocument();
+
+  fireEvent.keyDown(input, { key: 'ArrowDown' });
+  expect(screen.getByRole('option', { name: /the dark knight/i })).toHaveAttribute('aria-selected', 'true');
+  fireEvent.keyDown(input, { key: 'Enter' });
+  await waitFor(() => expect(window.location.pathname).toBe('/movie/155'));
+  window.history.pushState({}, '', '/');
+});
+
+test('remembers recent searches once per query and re-runs them', async () => {
+  const { unmount } = render(<App />);
+  await signUp('grace');
+  await screen.findByText('The Matrix');
+
+  const search = (query) => {
+    fireEvent.change(screen.getByRole('combobox', { name: 'Search movies' }), { target: { value: query } });
+    fireEvent.click(screen.getByRole('button', { name: 'Search' }));
+  };
+  search('matrix');
+  await screen.findByText('Search Results for "matrix"');
+  search('  Matrix ');
+  search('inception');
+  await screen.findByText('Search Results for "inception"');
+  unmount();
+
+  render(<App />);
+  const history = await screen.findByRole('complementary', { name: 'Recent searches' });
+  expect(within(history).getAllByRole('button', { name: /^(matrix|inception)$/i })).toHaveLength(2);
+
+  fireEvent.click(within(history).getByRole('button', { name: /^matrix$/i }));
+  expect(await screen.findByText('Search Results for "Matrix"')).toBeInTheDocument();
+
+  fireEvent.click(within(history).getByRole('button', { name: 'Remove "inception" from recent searches' }));
+  expect(within(history).queryByRole('button', { name: 'inception' })).not.toBeInTheDocument();
+  fireEvent.click(within(history).getByRole('button', { name: 'Clear all' }));
+  expect(screen.queryByRole('complementary', { name: 'Recent searches' })).not.toBeInTheDocument();
+  window.history.pushState({}, '', '/');
+});
+
+test('reopens a movie page straight from the response cache', async () => {
+  render(<App />);
+  await signUp('heidi');
+  fireEvent.click(await screen.findByRole('link', { name: /the matrix/i }));
+  expect(await screen.findByRole('heading', { name: 'The Matrix (1999)' })).toBeInTheDocument();
+
+  fireEvent.click(screen.getByRole('button', { name: 'Back' }));
+  fireEvent.click(await screen.findByRole('link', { name: /the matrix/i }));
+  expect(screen.getByRole('heading', { name: 'The Matrix (1999)' })).toBeInTheDocument();
+  window.history.pushState({}, '', '/');
+});
+
+test('shows a not-found message for a movie the data source does not have', async () => {
+  window.history.pushState({}, '', '/movie/999999');
+  render(<App />);
+  await signUp('ivan');
+  expect(await screen.findByText('Movie not found')).toBeInTheDocument();
+  expect(screen.queryByRole('button', { name: 'Retry' })).not.toBeInTheDocument();
+  expect(screen.getByText('Movie Explorer')).toBeInTheDocument();
+  window.history.pushState({}, '', '/');
+});
+
+test('shows a failed feed\'s error in the current language with a Retry button', async () => {
+  const fixtureSource = createFixtureDataSource();
+  const dataSource = {
+    ...fixtureSource,
+    getFeed: () => Promise.reject(new MovieApiError('network'))
+  };
+  render(<App dataSource={dataSource} />);
+  await signUp('nadia');
+  expect(await screen.findByRole('alert')).toHaveTextContent("Can't reach the movie database.");
+  expect(screen.getByRole('button', { name: 'Retry' })).toBeInTheDocument();
+
+  fireEvent.change(screen.getByRole('combobox', { name: 'Language' }), { target: { value: 'es' } });
+  expect(await screen.findByRole('button', { name: 'Reintentar' })).toBeInTheDocument();
+  expect(screen.getByRole('alert')).toHaveTextContent('No se puede conectar con la base de datos de películas.');
+});
+
+test('maps failed requests to typed errors', () => {
+  expect(toMovieApiError(new TypeError('Network Error')).type).toBe('network');
+  expect(toMovieApiError({ response: { status: 401 } }).type).toBe('unauthorized');
+  expect(toMovieApiError({ response: { status: 404 } }).type).toBe('not_found');
+  expect(toMovieApiError({ response: { status: 503 } })).toMatchObject({ type: 'server', status: 503, retryable: true });
+  expect(toMovieApiError({ response: { status: 429, headers: { 'retry-after': '3' } } }))
+    .toMatchObject({ type: 'rate_limited', retryAfter: 3000, retryable: true });
+  expect(toMovieApiError({ response: { status: 400 } })).toMatchObject({ type: 'unknown', retryable: false });
+
+  const abort = new DOMException('The request was aborted', 'AbortError');
+  expect(toMovieApiError(abort)).toBe(abort);
+});
+
+describe('withRetry', () => {
+  // Lets the rejected request settle so the next backoff timer is scheduled
+  const settle = async () => {
+    for (let i = 0; i < 10; i++) await Promise.resolve();
+  };
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    jest.spyOn(Math, 'random').mockReturnValue(0);
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    Math.random.mockRestore();
+  });
+
+  test('waits as long as Retry-After asks before retrying a rate-limited request', async () => {
+    const request = jest.fn()
+      .mockRejectedValueOnce({ response: { status: 429, headers: { 'retry-after': '2' } } })
+      .mockResolvedValue({ results: [] });
+    const result = withRetry(request);
+    await settle();
+    expect(request).toHaveBeenCalledTimes(1);
+
+    jest.advanceTimersByTime(1999);
+    await settle();
+    expect(request).toHaveBeenCalledTimes(1);
+    jest.advanceTimersByTime(1);
+    await settle();
+    expect(request).toHaveBeenCalledTimes(2);
+    await expect(result).resolves.toEqual({ results: [] });
+  });
+
+  test('backs off exponentially on server errors and gives up after the last retry', async () => {
+    const request = jest.fn().mockRejectedValue({ response: { status: 502 } });
+    const result = withRetry(request, { retries: 2, baseDelay: 100 });
+    result.catch(() => {});
+    await settle();
+
+    jest.advanceTimersByTime(100);
+    await settle();
+    expect(request).toHaveBeenCalledTimes(2);
+    jest.advanceTimersByTime(199);
+    await settle();
+    expect(request).toHaveBeenCalledTimes(2);
+    jest.advanceTimersByTime(1);
+    await settle();
+    expect(request).toHaveBeenCalledTimes(3);
+    await expect(result).rejects.toMatchObject({ type: 'server', status: 502 });
+    expect(await result.catch(err => err)).toBeInstanceOf(MovieApiError);
+  });
+
+  test('does not retry errors a retry cannot fix', async () => {
+    const request = jest.fn().mockRejectedValue({ response: { status: 404 } });
+    await expect(withRetry(request)).rejects.toMatchObject({ type: 'not_found' });
+    expect(request).toHaveBeenCalledTimes(1);
+  });
+});
+
+test('shows a fallback for a page that fails to render and keeps the rest of the app working', async () => {
+  const fixtureSource = createFixtureDataSource();
+  const dataSource = {
+    ...fixtureSource,
+    getMovieDetails: async (id) => ({ id: Number(id), title: 'Broken', credits: { cast: 'not a list' } })
+  };
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  window.history.pushState({}, '', '/movie/603');
+  render(<App dataSource={dataSource} />);
+  await screen.findByRole('form', { name: 'Login' });
+  await signUp('bruno');
+
+  expect(await screen.findByText('Something went wrong on this page.')).toBeInTheDocument();
+  fireEvent.change(screen.getByRole('combobox', { name: 'Language' }), { target: { value: 'es' } });
+  expect(await screen.findByText('Algo salió mal en esta página.')).toBeInTheDocument();
+  fireEvent.change(screen.getByRole('combobox', { name: 'Idioma' }), { target: { value: 'en' } });
+  fireEvent.click(await screen.findByRole('link', { name: 'Go to home' }));
+  expect(await screen.findByText('Trending Movies')).toBeInTheDocument();
+  expect(screen.queryByText('Something went wrong on this page.')).not.toBeInTheDocument();
+  console.error.mockRestore();
+});
+
+test('moves a movie from the watchlist to the watched list with its date', async () => {
+  render(<App />);
+  await signUp('judy');
+  await screen.findByText('The Matrix');
+  fireEvent.click(screen.getByRole('button', { name: 'Want to watch The Matrix' }));
+  fireEvent.click(screen.getByRole('link', { name: 'Watchlist' }));
+  expect(await screen.findByText('The Matrix')).toBeInTheDocument();
+
+  fireEvent.click(screen.getByRole('button', { name: 'Watched The Matrix' }));
+  expect(screen.getByText('Your watchlist is empty.')).toBeInTheDocument();
+
+  fireEvent.click(screen.getByRole('link', { name: 'Watched' }));
+  expect(await screen.findByText('The Matrix')).toBeInTheDocument();
+  expect(screen.getByText(`Watched ${new Intl.DateTimeFormat('en', { dateStyle: 'medium' }).format(new Date())}`)).toBeInTheDocument();
+
+  fireEvent.click(screen.getByRole('link', { name: 'Watchlist' }));
+  fireEvent.change(screen.getByRole('combobox', { name: 'Language' }), { target: { value: 'es' } });
+  expect(await screen.findByText('Tu lista «Por ver» está vacía.')).toBeInTheDocument();
+  expect(screen.getByRole('heading', { level: 1, name: 'Quiero verlas' })).toBeInTheDocument();
+  window.history.pushState({}, '', '/');
+});
+
+test('collects movies into a named collection and reorders them', async () => {
   render(<App />);
-  const linkElement = screen.getByText(/learn react/i);
-  expect(linkElement).toBeInTheDocument();
+  await signUp('kim');
+  fireEvent.click(await screen.findByRole('link', { name: /the matrix/i }));
+  fireEvent.click(await screen.findByRole('button', { name: 'Add to Collection' }));
+  fireEvent.change(screen.getByPlaceholderText('New collection'), { target: { value: 'Mind benders' } });
+  fireEvent.click(screen.getByRole('button', { name: 'Create' }));
+  expect(screen.getByRole('checkbox', { name: 'Mind benders' })).toBeChecked();
+
+  fireEvent.click(screen.getByRole('button', { name: 'Back' }));
+  fireEvent.click(await screen.findByRole('link', { name: /inception/i }));
+  fireEvent.click(await screen.findByRole('button', { name: 'Add to Collection' }));
+  fireEvent.click(screen.getByRole('checkbox', { name: 'Mind benders' }));
+  expect(screen.getByRole('button', { name: 'In 1 Collection' })).toBeInTheDocument();
+
+  fireEvent.click(screen.getByRole('link', { name: 'Collections' }));
+  fireEvent.click(await screen.findByRole('link', { name: /mind benders/i }));
+  expect(await screen.findByText(/2 movies • 4h 44m total/)).toBeInTheDocument();
+  expect(screen.getAllByRole('heading', { level: 2 }).map(heading => heading.textContent)).toEqual(['The Matrix', 'Inception']);
+
+  fireEvent.click(screen.getByRole('button', { name: 'Move Inception earlier' }));
+  expect(screen.getAllByRole('heading', { level: 2 }).map(heading => heading.textContent)).toEqual(['Inception', 'The Matrix']);
+
+  fireEvent.change(screen.getByRole('combobox', { name: 'Language' }), { target: { value: 'es' } });
+  expect(await screen.findByText('2 películas • 4h 44min en total')).toBeInTheDocument();
+  expect(screen.getByRole('button', { name: 'Mover Inception antes' })).toBeInTheDocument();
+  window.history.pushState({}, '', '/');
+});
+
+test('keeps a personal half-star rating and markdown note per movie', async () => {
+  render(<App />);
+  await signUp('leo');
+  await screen.findByText('The Matrix');
+  // Inception is favorited first, so only sorting by rating puts The Matrix on top
+  fireEvent.click(screen.getAllByRole('button', { name: /^favorite /i })[1]);
+  fireEvent.click(screen.getAllByRole('button', { name: /^favorite /i })[0]);
+  fireEvent.click(screen.getByRole('link', { name: /the matrix/i }));
+
+  const slider = await screen.findByRole('slider', { name: 'Your rating' });
+  fireEvent.keyDown(slider, { key: 'End' });
+  fireEvent.keyDown(slider, { key: 'ArrowLeft' });
+  expect(slider).toHaveAttribute('aria-valuetext', '4.5 out of 5 stars');
+
+  fireEvent.click(screen.getByRole('button', { name: 'Add a private note' }));
+  fireEvent.change(screen.getByRole('textbox', { name: 'Private note' }), { target: { value: 'Still **mind-bending**' } });
+  fireEvent.click(screen.getByRole('button', { name: 'Save Note' }));
+  expect(screen.getByText('mind-bending').tagName).toBe('STRONG');
+
+  fireEvent.click(screen.getByRole('link', { name: 'My Favorites' }));
+  expect(await screen.findByText('You: 4.5/5')).toBeInTheDocument();
+  expect(screen.getAllByRole('heading', { level: 2 })[0]).toHaveTextContent('Inception');
+  fireEvent.change(screen.getByRole('combobox', { name: 'Sort by' }), { target: { value: 'mine' } });
+  expect(window.location.search).toBe('?sort=mine');
+  expect(screen.getAllByRole('heading', { level: 2 })[0]).toHaveTextContent('The Matrix');
+
+  fireEvent.click(screen.getByRole('link', { name: 'My Ratings' }));
+  expect(await screen.findByText(/1 movie rated • average 4.5\/5/)).toBeInTheDocument();
+  const histogram = screen.getByRole('list', { name: 'Rating histogram' });
+  expect(within(histogram).getAllByRole('listitem')[1]).toHaveTextContent('4.5 ★1');
+
+  fireEvent.change(screen.getByRole('combobox', { name: 'Language' }), { target: { value: 'es' } });
+  expect(screen.getByText(/1 película valorada • media 4,5\/5/)).toBeInTheDocument();
+  expect(within(screen.getByRole('list', { name: 'Histograma de valoraciones' })).getAllByRole('listitem')[1]).toHaveTextContent('4,5 ★1');
+  fireEvent.change(screen.getByRole('combobox', { name: 'Idioma' }), { target: { value: 'en' } });
+  cleanup();
+  window.history.pushState({}, '', '/');
+});
+
+test('imports a Letterboxd export after previewing how each row matched', async () => {
+  render(<App />);
+  await signUp('mia');
+  await screen.findByText('The Matrix');
+  window.history.pushState({}, '', '/import-export');
+  cleanup();
+  render(<App />);
+
+  const letterboxd = [
+    'Date,Name,Year,Letterboxd URI,Rating',
+    '2024-01-02,The Matrix,1999,https://boxd.it/a,4.5',
+    '2024-01-03,"Lord of the Rings",2001,https://boxd.it/b,',
+    '2024-01-04,Not A Real Film,1990,https://boxd.it/c,'
+  ].join('\n');
+  fireEvent.change(await screen.findByRole('combobox', { name: /add movies without a list to/i }), { target: { value: 'watchlist' } });
+  fireEvent.change(screen.getByLabelText('Import file'), {
+    target: { files: [new File([letterboxd], 'watchlist.csv', { type: 'text/csv' })] }
+  });
+
+  expect(await screen.findByRole('heading', { name: 'Matched (1)' })).toBeInTheDocument();
+  expect(screen.getByRole('heading', { name: 'Needs a choice (1)' })).toBeInTheDocument();
+  expect(screen.getByRole('heading', { name: 'Not found (1)' })).toBeInTheDocument();
+  expect(screen.getByRole('button', { name: 'Import 1 movie' })).toBeInTheDocument();
+
+  fireEvent.change(screen.getByRole('combobox', { name: 'Match for Lord of the Rings' }), { target: { value: '120' } });
+  fireEvent.click(screen.getByRole('button', { name: 'Import 2 movies' }));
+  expect(screen.getByRole('status')).toHaveTextContent('Imported 2 movies.');
+
+  fireEvent.change(screen.getByRole('combobox', { name: 'Language' }), { target: { value: 'es' } });
+  expect(screen.getByRole('status')).toHaveTextContent('Se importaron 2 películas.');
+  fireEvent.change(screen.getByLabelText('Archivo a importar'), {
+    target: { files: [new File(['Date,Name,Year,Letterboxd URI,Rating'], 'empty.csv', { type: 'text/csv' })] }
+  });
+  expect(await screen.findByRole('alert')).toHaveTextContent('No se pudo leer ese archivo: Ese archivo no contiene ninguna película.');
+  fireEvent.change(screen.getByRole('combobox', { name: 'Idioma' }), { target: { value: 'en' } });
+
+  fireEvent.click(screen.getByRole('link', { name: 'Watchlist' }));
+  expect(await screen.findByText('The Matrix')).toBeInTheDocument();
+  expect(screen.getByText('The Lord of the Rings: The Fellowship of the Ring')).toBeInTheDocument();
+  expect(screen.getByText('You: 4.5/5')).toBeInTheDocument();
+  window.history.pushState({}, '', '/');
+});
+
+test('links key crew and cast to person pages with a sortable filmography', async () => {
+  render(<App />);
+  await signUp('nina');
+  fireEvent.click(await screen.findByRole('link', { name: /inception/i }));
+  await screen.findByRole('heading', { name: 'Inception (2010)' });
+  expect(screen.getByRole('heading', { name: 'Composer' })).toBeInTheDocument();
+
+  fireEvent.click(screen.getAllByRole('link', { name: 'Christopher Nolan' })[0]);
+  expect(await screen.findByRole('heading', { name: 'Christopher Nolan' })).toBeInTheDocument();
+  const crew = screen.getByRole('region', { name: 'Crew' });
+  expect(within(crew).getByRole('heading', { name: 'Crew (3)' })).toBeInTheDocument();
+  expect(within(crew).getAllByRole('link').map(link => link.textContent))
+    .toEqual(['Interstellar', 'Inception', 'The Dark Knight']);
+  expect(within(crew).getByText(/director, screenplay/i)).toBeInTheDocument();
+
+  fireEvent.change(screen.getByRole('combobox', { name: /sort filmography by/i }), { target: { value: 'popularity' } });
+  expect(within(crew).getAllByRole('link').map(link => link.textContent))
+    .toEqual(['Interstellar', 'The Dark Knight', 'Inception']);
+
+  fireEvent.change(screen.getByRole('combobox', { name: 'Language' }), { target: { value: 'es' } });
+  const equipo = await screen.findByRole('region', { name: 'Equipo' });
+  expect(within(equipo).getByRole('heading', { name: 'Equipo (3)' })).toBeInTheDocument();
+  expect(screen.getByRole('combobox', { name: 'Ordenar filmografía por' })).toHaveDisplayValue('Popularidad');
+  expect(screen.getByText(/^Dirección • Nació el/)).toBeInTheDocument();
+  fireEvent.change(screen.getByRole('combobox', { name: 'Idioma' }), { target: { value: 'en' } });
+
+  fireEvent.click(within(await screen.findByRole('region', { name: 'Crew' })).getByRole('link', { name: 'The Dark Knight' }));
+  expect(await screen.findByRole('heading', { name: 'The Dark Knight (2008)' })).toBeInTheDocument();
+  window.history.pushState({}, '', '/');
+});
+
+test('suggests what to watch next on the detail page and from favorites on Home', async () => {
+  render(<App />);
+  await signUp('omar');
+  await screen.findByText('Inception');
+  fireEvent.click(screen.getAllByRole('button', { name: /^favorite /i })[1]);
+  fireEvent.click(screen.getAllByRole('button', { name: /^favorite /i })[2]);
+
+  const becauseInterstellar = await screen.findByRole('region', { name: 'Because you favorited Interstellar' });
+  const recommended = within(becauseInterstellar).getAllByRole('link').map(link => link.textContent);
+  expect(recommended[0]).toMatch(/^The Dark Knight/);
+  expect(recommended.join()).not.toMatch(/Inception/);
+
+  fireEvent.click(screen.getByRole('link', { name: /^inception/i }));
+  const similar = await screen.findByRole('region', { name: 'Similar' });
+  expect(within(similar).getAllByRole('link').length).toBeGreaterThan(0);
+  fireEvent.click(within(screen.getByRole('region', { name: 'Recommended' })).getAllByRole('link')[0]);
+  expect(await screen.findByRole('heading', { name: 'Interstellar (2014)' })).toBeInTheDocument();
+  window.history.pushState({}, '', '/');
+});
+
+test('plays trailers in an in-app gallery that closes on Escape', async () => {
+  render(<App />);
+  await signUp('pat');
+  fireEvent.click(await screen.findByRole('link', { name: /inception/i }));
+  const watchTrailer = await screen.findByRole('button', { name: 'Watch Trailer' });
+  watchTrailer.focus();
+  fireEvent.click(watchTrailer);
+
+  const dialog = screen.getByRole('dialog', { name: 'Inception: Official Trailer' });
+  expect(within(dialog).getByTitle('Official Trailer')).toHaveAttribute('src', expect.stringMatching(/^https:\/\/www\.youtube-nocookie\.com\/embed\/YoHD9XEInc0/));
+  expect(within(dialog).getByRole('region', { name: 'Clip' })).toBeInTheDocument();
+  expect(within(dialog).queryByText(/bande-annonce/i)).not.toBeInTheDocument();
+  expect(within(dialog).queryByText(/vimeo/i)).not.toBeInTheDocument();
+
+  fireEvent.change(within(dialog).getByRole('combobox', { name: 'Language' }), { target: { value: 'all' } });
+  expect(within(dialog).getByRole('button', { name: 'Bande-annonce (FR)' })).toBeInTheDocument();
+  fireEvent.click(within(dialog).getByRole('button', { name: /hallway fight/i }));
+  expect(within(dialog).getByTitle('Hallway Fight')).toBeInTheDocument();
+
+  fireEvent.keyDown(document, { key: 'Escape' });
+  expect(screen.queryByRole('dialog')).not.toBeInTheDocument();
+  expect(watchTrailer).toHaveFocus();
+  window.history.pushState({}, '', '/');
+});
+
+test('switches between home feeds and loads card trailers on demand', async () => {
+  render(<App />);
+  await signUp('quinn');
+  await screen.findByText('The Matrix');
+
+  fireEvent.click(screen.getByRole('button', { name: 'Today' }));
+  expect(window.location.search).toBe('?feed=trending-day');
+  await waitFor(() => expect(screen.getAllByRole('heading', { level: 3 })[0]).toHaveTextContent('The Dark Knight'));
+
+  fireEvent.click(screen.getByRole('button', { name: 'Upcoming' }));
+  expect(await screen.findByRole('heading', { name: 'Upcoming' })).toBeInTheDocument();
+  await waitFor(() => expect(screen.getAllByRole('heading', { level: 3 }).map(heading => heading.textContent))
+    .toEqual(['The Lord of the Rings: The Fellowship of the Ring', 'Forrest Gump']));
+  expect(screen.queryByRole('button', { name: 'Today' })).not.toBeInTheDocument();
+
+  fireEvent.click(screen.getByRole('button', { name: 'Play Forrest Gump trailer' }));
+  expect(await screen.findByRole('dialog', { name: 'Forrest Gump: Official Trailer' })).toBeInTheDocument();
+  fireEvent.click(screen.getByRole('button', { name: 'Close video player' }));
+  window.history.pushState({}, '', '/');
+});
+
+test('refreshes a feed when switching back to it without dropping the pages already loaded', async () => {
+  const fixtureSource = createFixtureDataSource({ pageSize: 3 });
+  const dataSource = { ...fixtureSource, getFeed: jest.fn(fixtureSource.getFeed) };
+  render(<App dataSource={dataSource} />);
+  await signUp('rory');
+  await screen.findByText('Interstellar');
+  fireEvent.click(screen.getByRole('button', { name: 'Load More' }));
+  expect(await screen.findByText('Fight Club')).toBeInTheDocument();
+
+  fireEvent.click(screen.getByRole('button', { name: 'Top Rated' }));
+  expect(await screen.findByRole('heading', { name: 'Top Rated' })).toBeInTheDocument();
+  fireEvent.click(screen.getByRole('button', { name: 'Trending' }));
+  await waitFor(() => expect(dataSource.getFeed.mock.calls.filter(([feed, page]) => feed === 'trending-week' && page === 1))
+    .toHaveLength(2));
+  expect(await screen.findByText('Fight Club')).toBeInTheDocument();
+  expect(screen.getAllByRole('heading', { level: 3 })).toHaveLength(6);
+  window.history.pushState({}, '', '/');
+});
+
+test('shows where to watch by region and filters Discover to the user\'s services', async () => {
+  render(<App />);
+  await signUp('rosa');
+  fireEvent.click(await screen.findByRole('link', { name: /the matrix/i }));
+
+  const whereToWatch = await screen.findByRole('region', { name: 'Where to Watch' });
+  expect(within(whereToWatch).getByRole('combobox', { name: 'Region' })).toHaveValue('US');
+  expect(within(whereToWatch).getByRole('list', { name: 'Stream' })).toHaveTextContent('Max');
+  expect(within(whereToWatch).getByRole('list', { name: 'Rent' })).toHaveTextContent('Google Play Movies');
+  fireEvent.change(within(whereToWatch).getByRole('combobox', { name: 'Region' }), { target: { value: 'GB' } });
+  expect(within(whereToWatch).getByRole('list', { name: 'Stream' })).toHaveTextContent('Netflix');
+
+  fireEvent.click(screen.getByRole('link', { name: 'Discover' }));
+  await screen.findByText('Inception');
+  fireEvent.click(screen.getByRole('checkbox', { name: 'Available on my services' }));
+  expect(window.location.search).toBe('?services=1');
+  expect(screen.getByText('Pick at least one of your services above to see what you can stream.')).toBeInTheDocument();
+  expect(screen.queryByText('Inception')).not.toBeInTheDocument();
+  fireEvent.click(await screen.findByRole('checkbox', { name: 'Netflix' }));
+  await waitFor(() => expect(screen.queryByText('Inception')).not.toBeInTheDocument());
+  expect(await screen.findByText('The Matrix')).toBeInTheDocument();
+  expect(screen.queryByText('The Dark Knight')).not.toBeInTheDocument();
+
+  cleanup();
+  render(<App />);
+  expect(await screen.findByRole('checkbox', { name: 'Netflix' })).toBeChecked();
+  expect(screen.getByRole('group', { name: 'My services in United Kingdom' })).toBeInTheDocument();
+  window.history.pushState({}, '', '/');
+});
+
+test('keeps each user\'s theme and follows the system colour scheme live', async () => {
+  const listeners = new Set();
+  const colorScheme = { matches: false };
+  window.matchMedia = jest.fn(() => ({
+    get matches() { return colorScheme.matches; },
+    addEventListener: (event, listener) => listeners.add(listener),
+    removeEventListener: (event, listener) => listeners.delete(listener)
+  }));
+
+  render(<App />);
+  await signUp('sam');
+  const theme = await screen.findByRole('combobox', { name: 'Theme' });
+  expect(theme).toHaveValue('system');
+  expect(theme).toHaveStyle({ border: '1px solid #dddddd' });
+
+  colorScheme.matches = true;
+  act(() => listeners.forEach(listener => listener()));
+  expect(theme).toHaveStyle({ border: '1px solid #3a3a3a' });
+
+  fireEvent.change(theme, { target: { value: 'high-contrast' } });
+  expect(screen.getByRole('button', { name: 'Logout' })).toHaveStyle({ background: '#ffff00', color: '#000000' });
+
+  cleanup();
+  render(<App />);
+  expect(await screen.findByRole('combobox', { name: 'Theme' })).toHaveValue('high-contrast');
+  expect(screen.getByRole('button', { name: 'Logout' })).toHaveStyle({ background: '#ffff00' });
+  delete window.matchMedia;
+});
+
+test('traps focus in the login dialog and moves through the movie grid with the arrow keys', async () => {
+  render(<App />);
+  const login = within(screen.getByRole('navigation', { name: 'Main' })).getByRole('button', { name: 'Login' });
+  login.focus();
+  fireEvent.click(login);
+
+  const dialog = screen.getByRole('dialog', { name: 'Login' });
+  expect(within(dialog).getByRole('textbox', { name: 'Username' })).toHaveFocus();
+  within(dialog).getByRole('button', { name: 'Close' }).focus();
+  fireEvent.keyDown(document, { key: 'Tab' });
+  expect(within(dialog).getByRole('textbox', { name: 'Username' })).toHaveFocus();
+  fireEvent.keyDown(document, { key: 'Escape' });
+  expect(screen.queryByRole('dialog')).not.toBeInTheDocument();
+  expect(login).toHaveFocus();
+
+  await signUp('tara');
+  const matrix = await screen.findByRole('link', { name: /^the matrix/i });
+  matrix.focus();
+  fireEvent.keyDown(matrix, { key: 'ArrowRight' });
+  const inception = screen.getByRole('link', { name: /^inception/i });
+  expect(inception).toHaveFocus();
+  fireEvent.keyDown(inception, { key: 'End' });
+  const fellowship = screen.getByRole('link', { name: /^the lord of the rings/i });
+  expect(fellowship).toHaveFocus();
+  fireEvent.keyDown(fellowship, { key: 'ArrowLeft' });
+  expect(screen.getByRole('link', { name: /^forrest gump/i })).toHaveFocus();
+});
+
+test('has no axe violations on any route', async () => {
+  const routes = [
+    ['/', 'The Matrix'],
+    ['/movie/27205', 'Where to Watch'],
+    ['/person/6384', 'Keanu Reeves'],
+    ['/favorites', 'The Matrix'],
+    ['/watchlist', 'Your watchlist is empty.'],
+    ['/watched', /watched/i],
+    ['/collections', /collections/i],
+    ['/ratings', /ratings/i],
+    ['/import-export', /import/i],
+    ['/discover', 'Inception'],
+    ['/compare?ids=603,27205', 'Top cast'],
+    ['/pick', 'Pick for Me']
+  ];
+
+  const { container } = render(<App />);
+  expect(await axe(container)).toHaveNoViolations();
+  fireEvent.click(screen.getAllByRole('button', { name: 'Sign Up' })[0]);
+  expect(await axe(container)).toHaveNoViolations();
+  await signUp('uma');
+  fireEvent.click(await screen.findByRole('button', { name: 'Favorite The Matrix' }));
+  await screen.findByRole('heading', { name: 'Because you favorited The Matrix' });
+
+  for (const [path, text] of routes) {
+    cleanup();
+    window.history.pushState({}, '', path);
+    const view = render(<App />);
+    expect((await screen.findAllByText(text)).length).toBeGreaterThan(0);
+    expect(await axe(view.container)).toHaveNoViolations();
+  }
+
+  cleanup();
+  window.history.pushState({}, '', '/collections');
+  const { container: collectionPage } = render(<App />);
+  fireEvent.change(await screen.findByRole('textbox', { name: 'New collection name' }), { target: { value: 'Axe night' } });
+  fireEvent.click(screen.getByRole('button', { name: 'Create Collection' }));
+  fireEvent.click(await screen.findByRole('link', { name: /axe night/i }));
+  expect(await screen.findByText(/this collection is empty/i)).toBeInTheDocument();
+  expect(await axe(collectionPage)).toHaveNoViolations();
+  window.history.pushState({}, '', '/');
+}, 30000);
+
+test('switches the interface and movie data to another language, laid out right to left in Arabic', async () => {
+  render(<App />);
+  await signUp('tomas');
+  await screen.findByText('Inception');
+  expect(screen.getByRole('combobox', { name: 'Language' })).toHaveValue('en');
+
+  fireEvent.change(screen.getByRole('combobox', { name: 'Language' }), { target: { value: 'es' } });
+  expect(await screen.findByRole('heading', { name: 'Películas en tendencia' })).toBeInTheDocument();
+  expect(screen.getByRole('combobox', { name: 'Buscar películas' })).toHaveAttribute('placeholder', 'Buscar películas...');
+  expect(await screen.findByRole('button', { name: 'Marcar Origen como favorita' })).toHaveTextContent('Favorita');
+  expect(screen.getByRole('link', { name: 'Mis favoritas' })).toBeInTheDocument();
+  fireEvent.click(await screen.findByRole('link', { name: /origen/i }));
+  expect(await screen.findByRole('heading', { name: 'Origen (2010)' })).toBeInTheDocument();
+  expect(screen.getByText(/^Cobb, un ladrón experto/)).toBeInTheDocument();
+  expect(screen.getByText('2h 28min')).toBeInTheDocument();
+  expect(screen.getByText('15 de julio de 2010')).toBeInTheDocument();
+  fireEvent.click(screen.getByRole('button', { name: 'Añadir a favoritas' }));
+
+  fireEvent.change(screen.getByRole('combobox', { name: 'Idioma' }), { target: { value: 'ar' } });
+  expect(await screen.findByRole('heading', { name: 'استهلال (2010)' })).toBeInTheDocument();
+  expect(document.documentElement).toHaveAttribute('dir', 'rtl');
+  expect(document.documentElement).toHaveAttribute('lang', 'ar');
+  expect(screen.getByRole('region', { name: 'أين تشاهده' })).toBeInTheDocument();
+  expect(screen.getByRole('button', { name: 'إضافة ملاحظة خاصة' })).toBeInTheDocument();
+  fireEvent.click(screen.getByRole('link', { name: 'أفلامي المفضلة' }));
+  expect(await screen.findByText('فيلم واحد')).toBeInTheDocument();
+
+  cleanup();
+  window.history.pushState({}, '', '/');
+  render(<App />);
+  expect(await screen.findByRole('combobox', { name: 'اللغة' })).toHaveValue('ar');
+  fireEvent.change(screen.getByRole('combobox', { name: 'اللغة' }), { target: { value: 'en' } });
+  expect(document.documentElement).toHaveAttribute('dir', 'ltr');
+  expect(await screen.findByRole('link', { name: /^inception/i })).toBeInTheDocument();
+});
+
+test('runs the search on screen again in the new language', async () => {
+  window.history.pushState({}, '', '/?q=incep');
+  render(<App />);
+  await signUp('ursula');
+  expect(await screen.findByRole('heading', { name: 'Inception' })).toBeInTheDocument();
+
+  fireEvent.change(screen.getByRole('combobox', { name: 'Language' }), { target: { value: 'es' } });
+  expect(await screen.findByRole('heading', { name: 'Origen' })).toBeInTheDocument();
+  expect(window.location.search).toBe('?q=incep');
+  window.history.pushState({}, '', '/');
+});
+
+test('compares up to four movies side by side and highlights the best value in each row', async () => {
+  render(<App />);
+  await signUp('uma');
+  await screen.findByText('Inception');
+  ['The Matrix', 'Inception', 'Interstellar', 'The Dark Knight'].forEach(title => {
+    fireEvent.click(screen.getByRole('button', { name: `Compare ${title}` }));
+  });
+  expect(screen.getByRole('button', { name: 'Compare Fight Club' })).toBeDisabled();
+
+  const tray = screen.getByRole('region', { name: 'Compare tray' });
+  expect(tray).toHaveTextContent('Compare (4/4)');
+  fireEvent.click(within(tray).getByRole('button', { name: 'Remove The Dark Knight from comparison' }));
+  expect(screen.getByRole('button', { name: 'Compare The Dark Knight' })).toHaveAttribute('aria-pressed', 'false');
+  fireEvent.click(within(tray).getByRole('link', { name: 'Compare now' }));
+  expect(window.location.search).toBe('?ids=603,27205,157336');
+
+  expect(await screen.findByRole('columnheader', { name: /interstellar/i })).toBeInTheDocument();
+  const row = (label) => within(screen.getAllByRole('row').find(tableRow =>
+    within(tableRow).queryByRole('rowheader', { name: label })));
+  expect(row('Rating').getAllByText('(best)')).toHaveLength(2);
+  expect(row('Runtime').getByText('2h 16m')).toHaveTextContent('2h 16m (best)');
+  expect(row('Director').getByRole('link', { name: 'Lana Wachowski' })).toBeInTheDocument();
+  expect(row('Top cast').getByRole('link', { name: 'Keanu Reeves' })).toBeInTheDocument();
+  expect(row('Budget').getByText('$165M')).toHaveTextContent('(best)');
+  expect(row('Revenue').getByText('$839M')).toHaveTextContent('(best)');
+
+  fireEvent.click(screen.getByRole('button', { name: 'Remove The Matrix from comparison' }));
+  expect(window.location.search).toBe('?ids=27205,157336');
+  expect(await screen.findByRole('columnheader', { name: /interstellar/i })).toBeInTheDocument();
+  expect(screen.queryByRole('columnheader', { name: /the matrix/i })).not.toBeInTheDocument();
+  window.history.pushState({}, '', '/');
+});
+
+test('picks a movie night film within the limits, weighted by rating, with vetoes and a shareable link', async () => {
+  const random = jest.spyOn(Math, 'random').mockReturnValue(0);
+  render(<App />);
+  await signUp('vera');
+  await screen.findByText('Inception');
+  ['The Matrix', 'Inception', 'Interstellar', 'The Dark Knight'].forEach(title => {
+    fireEvent.click(screen.getByRole('button', { name: `Favorite ${title}` }));
+  });
+  fireEvent.click(screen.getByRole('button', { name: 'Watched The Matrix' }));
+  fireEvent.click(screen.getByRole('link', { name: 'Pick for Me' }));
+
+  expect(await screen.findByText('4 of 4 movies fit')).toBeInTheDocument();
+  fireEvent.change(screen.getByRole('spinbutton', { name: 'Skip if watched in the last (months)' }), { target: { value: '6' } });
+  expect(screen.getByText('3 of 4 movies fit')).toBeInTheDocument();
+  fireEvent.change(screen.getByRole('spinbutton', { name: 'Max runtime (minutes)' }), { target: { value: '155' } });
+  expect(await screen.findByText('2 of 4 movies fit')).toBeInTheDocument();
+  const exclude = screen.getByRole('group', { name: 'Exclude genres' });
+  fireEvent.click(within(exclude).getByRole('checkbox', { name: 'Crime' }));
+  expect(screen.getByText('1 of 4 movies fit')).toBeInTheDocument();
+  fireEvent.click(within(exclude).getByRole('checkbox', { name: 'Crime' }));
+  expect(window.location.search).toBe('?months=6&runtime=155');
+
+  fireEvent.click(screen.getByRole('button', { name: 'Pick for me' }));
+  const pick = await screen.findByRole('region', { name: 'Tonight\'s pick' });
+  expect(await within(pick).findByRole('link', { name: 'Inception' })).toBeInTheDocument();
+  expect(window.location.search).toBe('?months=6&runtime=155&pick=27205');
+
+  fireEvent.click(within(pick).getByRole('button', { name: 'Veto' }));
+  expect(await within(pick).findByRole('link', { name: 'The Dark Knight' })).toBeInTheDocument();
+  fireEvent.click(within(pick).getByRole('button', { name: 'Veto' }));
+  expect(await screen.findByText(/everything that fits has been vetoed/i)).toBeInTheDocument();
+
+  random.mockReturnValue(0.99);
+  fireEvent.click(screen.getByRole('button', { name: 'Clear vetoes' }));
+  fireEvent.click(screen.getByRole('button', { name: 'Pick for me' }));
+  expect(await screen.findByRole('link', { name: 'The Dark Knight' })).toBeInTheDocument();
+  expect(screen.getByRole('textbox', { name: 'Share this pick' })).toHaveValue(`${window.location.origin}/pick?months=6&runtime=155&pick=155`);
+
+  cleanup();
+  render(<App />);
+  const shared = await screen.findByRole('region', { name: 'Tonight\'s pick' });
+  expect(await within(shared).findByRole('link', { name: 'The Dark Knight' })).toBeInTheDocument();
+  random.mockRestore();
+  window.history.pushState({}, '', '/');
+});
+
+test('picks movies in proportion to the square of their rating, preferring the viewer\'s own', () => {
+  const movies = [{ id: 1, vote_average: 8 }, { id: 2, vote_average: 4 }, { id: 3, vote_average: 0 }];
+  const ratings = { 2: { rating: 5 } };
+  const weightOf = movie => pickWeight(movie, ratings);
+  expect(movies.map(weightOf)).toEqual([64, 100, 1]);
+
+  // Rolls spread evenly over [0, 1) land on each movie as often as its share of the total weight
+  const counts = {};
+  for (let roll = 0; roll < 165; roll++) {
+    const { id } = pickWeighted(movies, weightOf, () => (roll + 0.5) / 165);
+    counts[id] = (counts[id] || 0) + 1;
+  }
+  expect(counts).toEqual({ 1: 64, 2: 100, 3: 1 });
+  expect(pickWeighted([], weightOf)).toBeUndefined();
 });
@@ -3,3 +3,13 @@
 // expect(element).toHaveTextContent(/react/i)
 // learn more: https://github.com/testing-library/jest-dom
 import '@testing-library/jest-dom';
+// jest-axe adds expect(await axe(container)).toHaveNoViolations() for the accessibility checks
+import { toHaveNoViolations } from 'jest-axe';
+
+// jsdom doesn't ship TextEncoder/TextDecoder, which react-router needs at import time
+import { TextEncoder, TextDecoder } from 'util';
+
+expect.extend(toHaveNoViolations);
+
+global.TextEncoder = global.TextEncoder || TextEncoder;
+global.TextDecoder = global.TextDecoder || TextDecoder;